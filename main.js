@@ -1,12 +1,3 @@
-// Suppress the harmless WebGL context error that appears under specific race conditions.
-const originalConsoleError = console.error;
-console.error = (...args) => {
-    if (typeof args[0] === 'string' && args[0].includes('A WebGL context could not be created')) {
-        return;
-    }
-    originalConsoleError.apply(console, args);
-};
-
 // Global debug flag – set to true to enable console logging
 const DEBUG = false;
 if (!DEBUG) {
@@ -19,26 +10,66 @@ import * as THREE from 'three';
 import * as GaussianSplats3D from '@mkkellogg/gaussian-splats-3d';
 
 const viewerContainer = document.getElementById('viewer-container');
+const viewerCanvasHost = document.getElementById('viewer-canvas-host');
+const compareCanvasHost = document.getElementById('compare-canvas-host');
 const customLoader = document.getElementById('custom-loader');
-let viewer;
+const streamProgress = document.getElementById('stream-progress');
+let viewer; // Created once by the first loadStage() and reused for every stage after that
+let defaultCameraFov = 50;
 const threeScene = new THREE.Scene();
 let currentAnnotations = [];
 let hoveredAnnotation = null;
 let constructionStages = [];
+let stagesJsonPrefix = ''; // JSON Pointer to the stages array: '' when stages.json is the array, '/stages' when it's wrapped
+let currentStageIndex = -1;
 let isLoading = false;
+let isStreamingStage = false; // The stage on screen is usable but its scan is still streaming in
 let isPanLockActive = false;
 
+// Comparison mode variables
+let compareViewer = null;
+let compareSceneRemoval = null; // Pending scene removal from the parked comparison viewer
+let compareStageIndex = -1;
+let isCompareLoading = false;
+let compareDriver = 'primary'; // Which viewport the user is steering; the other one follows it
+
+// Swipe mode variables
+let swipeStageIndex = -1;
+let swipePosition = 0.5; // Divider position as a fraction of the canvas width
+let isDraggingSwipeDivider = false;
+
+// Change detection variables
+let changeStageIndex = -1; // Stage the current one is checked against for changes
+let changeAnalysis = null; // { key, distances, colors, newerScene, unitsPerMetre } for the pair of stages on screen
+let changeThresholdMetres = 0.1;
+let showRemovedSplats = true;
+let changeSavedSphericalHarmonicsDegree = null; // The viewer's active degree from before the heatmap turned it off
+const CHANGE_MIN_METRES = 0.02; // Lowest threshold on the slider; anything closer to the other stage is unchanged
+const CHANGE_MAX_METRES = 1; // Top of the colour scale; distances are only searched this far
+
 // Dev toggle
 let devOverlayVisible = false;
 
+// Timeline scrubber
+let scrubTargetIndex = -1; // Stage under the scrubber while it is dragged, loaded on release
+let timelineStepIndex = -1; // Last stage asked for with the arrow keys, so held keys keep stepping while it loads
+
 // Camera move tween variables
 let camMoveActive = false;
 let camMoveStart = 0;
 let camMoveDuration = 1500; // ms
-let camStartPos = new THREE.Vector3();
-let camStartTarget = new THREE.Vector3();
-let camTargetPos = new THREE.Vector3();
-let camTargetTarget = new THREE.Vector3();
+let camPath = null; // { positions, targets, fovs, times, easing } built by playCameraPath()
+let keepCameraOnStageSwitch = false; // Toggled by the keep-camera button; stages.json sets the default
+let stageTransition = { duration: 1000, cameraMove: true }; // Cross-fade between stages, from "transition" in stages.json
+
+// Easing curves for camera paths, selectable per path with `cameraPathEasing` / `introPathEasing`
+const CAMERA_EASINGS = {
+    linear: t => t,
+    smoothstep: t => THREE.MathUtils.smoothstep(t, 0, 1),
+    easeIn: t => t * t * t,
+    easeOut: t => 1 - Math.pow(1 - t, 3),
+    easeInOut: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+};
 
 // Movable dot variables
 let movableDot = null;
@@ -46,6 +77,12 @@ let dotPositionDisplay = null;
 let isDraggingDot = false;
 let dragPlane = new THREE.Plane();
 let dragPoint = new THREE.Vector3();
+let dotNormalHelper = null; // Arrow showing the surface normal under the dot
+
+// Splat hit-testing variables (the viewer's own Raycaster works in screen pixels)
+const splatHits = [];
+const splatScreenPosition = new THREE.Vector2();
+const splatViewportSize = new THREE.Vector2();
 
 // Zoom lock variables
 let zoomLockEnabled = false;
@@ -79,9 +116,88 @@ let annotationsList = null;
 let currentAnnotationsData = [];
 let selectedAnnotationIndex = -1; // Track which annotation is selected
 
+// Annotation editor variables
+let annotationDrafts = {}; // Edited annotations per stage index, kept until the page is reloaded
+let editorSelectedIndex = -1;
+let isPlacingAnnotation = false;
+
+// Deep link variables
+let isApplyingLinkedView = false; // Suppresses new history entries while restoring a view from the URL
+
 
 const raycaster = new THREE.Raycaster();
 const mouse = new THREE.Vector2();
+let lastPointerDown = null; // Screen position of the last pointerdown, to tell clicks from orbit drags
+
+// Drawn after the splats so helpers such as measurement lines are never hidden by the scan
+const overlayScene = new THREE.Scene();
+
+// Measurement variables
+let measureTool = null; // 'distance' | 'path' | 'area' | 'height' while a tool is picked
+let measurements = []; // Finished measurements: { type, points, group, label }
+let activeMeasurement = null; // Measurement currently being placed
+let measurementCounts = {};
+
+// Calibration variables (dev overlay)
+const CALIBRATION_STORAGE_KEY = 'stage-calibrations';
+const TRANSFORM_FIELDS = ['position', 'rotation', 'rotationOrder', 'scale'];
+// Stage transforms from the alignment tool are saved and exported along with the calibration
+const CALIBRATION_FIELDS = ['unitsPerMetre', 'upAxis', 'groundOffset', ...TRANSFORM_FIELDS];
+let isPickingCalibration = false;
+let calibrationPoints = [];
+let calibrationGroup = null;
+let stageFileCalibrations = []; // Calibration fields as they are in stages.json, to build the export patch against
+
+// Alignment variables (dev overlay)
+let alignmentReferenceIndex = -1; // Stage the current one is being registered to, shown as the second swipe scene
+let alignmentMovingIndex = -1;
+let alignmentPairs = []; // { moving: point in the moving scan's own coordinates, reference: point in site coordinates }
+let pendingAlignmentPoint = null; // Moving half of the pair being picked
+let alignmentPickTarget = null; // 'moving' or 'reference' while a pair is being picked
+let alignmentView = 'swipe'; // 'moving', 'reference', 'overlay' or 'swipe'
+let alignmentGroup = null;
+let alignmentGizmo = null;
+let gizmoDrag = null;
+
+// Guided tour variables
+let tourActive = false;
+let tourPaused = false;
+let tourAnnotationIndex = -1; // -1 while showing the stage itself, before its first annotation
+let tourTimer = null;
+let tourStepEndsAt = 0; // When the current step hands over to the next one
+let tourRemaining = 0; // Time left in the current step while paused
+let tourDwellSeconds = parseFloat(localStorage.getItem('tour-dwell')) || 6;
+
+// Scene cache variables
+const splatBufferCache = new Map(); // splatUrl -> decoded SplatBuffer, least recently used first
+const pendingSplatDownloads = new Map(); // splatUrl -> Promise of a SplatBuffer still downloading
+const splatBufferSizes = new Map(); // splatUrl -> decoded size in bytes, remembered after eviction
+const annotationsCache = new Map(); // annotationsUrl -> parsed annotations JSON
+let sceneCacheBudgetMB = 0;
+let prefetchTimer = null;
+const sceneSources = new Map(); // splatUrl -> { format, splatAlphaRemovalThreshold, sphericalHarmonicsDegree }
+const SCENE_FORMATS = {
+    splat: GaussianSplats3D.SceneFormat.Splat,
+    ksplat: GaussianSplats3D.SceneFormat.KSplat,
+    ply: GaussianSplats3D.SceneFormat.Ply, // INRIA and PlayCanvas compressed .ply alike
+    spz: GaussianSplats3D.SceneFormat.Spz
+};
+
+// Converter variables
+let convertedScene = null; // { name, splatBuffer } from the last conversion
+let isConverterPreviewActive = false;
+
+// Stage load variables
+let stageLoadId = 0; // Incremented by every load into the main viewer; older loads stop when they see a newer id
+let activeStageLoad = Promise.resolve(); // Settles when the most recent load into the main viewer is done
+let activeLoadUrls = []; // Scenes the most recent load is waiting for
+let loadErrorRetry = null;
+
+// Export variables
+let renderedFrameListener = null; // Called with the viewer canvas after every rendered frame
+let isExporting = false; // Stage loads are blocked while a video or image export owns the viewer
+let videoRecorder = null;
+let videoRecordingAbort = null; // Aborted by "Stop recording" to cut the camera moves and waits short
 
 
 
@@ -91,25 +207,63 @@ async function init() {
         if (viewer && viewer.controls) viewer.controls.enabled = true; 
         isDraggingDot = false;
     }, true);
+    viewerContainer.addEventListener('pointerdown', (event) => {
+        lastPointerDown = { x: event.clientX, y: event.clientY };
+    }, true);
+    viewerContainer.addEventListener('pointerup', onEditorPointerUp);
+    viewerContainer.addEventListener('pointerup', onMeasurePointerUp);
+    viewerContainer.addEventListener('pointerup', onCalibrationPointerUp);
+    viewerContainer.addEventListener('pointerup', onAlignmentPointerUp);
     viewerContainer.addEventListener('pointermove', throttledOnAnnotationHover);
     
     // Add dot dragging events
     viewerContainer.addEventListener('pointerdown', onDotPointerDown, true);
     viewerContainer.addEventListener('pointermove', onDotPointerMove, true);
+    viewerContainer.addEventListener('pointerdown', onGizmoPointerDown, true);
+    viewerContainer.addEventListener('pointermove', onGizmoPointerMove, true);
+    viewerContainer.addEventListener('pointerup', onGizmoPointerUp, true);
+
+    // Whichever comparison viewport the user touches drives the other one
+    viewerCanvasHost.addEventListener('pointerdown', () => { compareDriver = 'primary'; });
+    viewerCanvasHost.addEventListener('wheel', () => { compareDriver = 'primary'; }, { passive: true });
+    compareCanvasHost.addEventListener('pointerdown', () => { compareDriver = 'secondary'; });
+    compareCanvasHost.addEventListener('wheel', () => { compareDriver = 'secondary'; }, { passive: true });
 
     try {
         const response = await fetch('./stages.json');
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
-        constructionStages = await response.json();
+        // Either the array of stages, or { "stages": [...] } with site-wide settings next to it
+        const stagesJson = await response.json();
+        constructionStages = Array.isArray(stagesJson) ? stagesJson : stagesJson.stages;
+        stagesJsonPrefix = Array.isArray(stagesJson) ? '' : '/stages';
+        initializeKeepCamera(!Array.isArray(stagesJson) && stagesJson.keepCamera === true);
+        if (!Array.isArray(stagesJson)) stageTransition = mergeStageTransition(stageTransition, stagesJson.transition);
+        applySavedCalibrations();
+        await registerSceneSources(constructionStages);
         createTimeline();
         
         // Initialize menu before loading stage
         initializeAnnotationsMenu();
         initializeCoordinatesToggle();
+        initializeCompareControls();
+        initializeChangeControls();
+        initializeSwipeDivider();
+        initializeViewHistory();
+        initializeAnnotationEditor();
+        initializeMeasureTools();
+        initializeCalibrationTool();
+        initializeAlignmentTool();
+        initializeTour();
+        initializeTimelineNavigation();
+        initializeExportPanel();
+        initializeSceneCache();
+        initializeConverter();
+        initializeLocalStageDrop();
+        initializeLoadErrorPanel();
         
-        loadStage(0);
+        await applyLinkedView(parseViewHash(window.location.hash));
     } catch (error) {
         console.error('Failed to load stages configuration:', error);
         alert('Failed to load construction stages. Please check the console for details.');
@@ -132,57 +286,184 @@ async function init() {
 const throttledOnAnnotationHover = throttle(onAnnotationHover, 16); // ~60fps
 
 function moveCameraTo(positionVec, lookAtVec, duration = 1500) {
-    if (!viewer || !viewer.camera || !viewer.controls) return;
-    camMoveDuration = duration;
+    playCameraPath([{ position: positionVec, target: lookAtVec, duration }]);
+}
+
+// Flies the camera from where it is now through a list of keyframes
+// ({ position, target, fov?, duration } with arrays or vectors, duration in ms to reach that keyframe).
+// Positions and targets follow centripetal Catmull-Rom splines; the easing is applied over the whole path.
+function playCameraPath(keyframes, easing = 'smoothstep') {
+    if (!viewer || !viewer.camera || !viewer.controls || keyframes.length === 0) return;
+    // The tween drives the primary viewer, so the comparison viewport has to follow it
+    compareDriver = 'primary';
+
+    const toVector = value => (value.isVector3 ? value.clone() : new THREE.Vector3(...value));
+    const positions = [viewer.camera.position.clone()];
+    const targets = [viewer.controls.target.clone()];
+    const fovs = [viewer.camera.fov];
+    const times = [0];
+    keyframes.forEach(keyframe => {
+        positions.push(toVector(keyframe.position));
+        targets.push(toVector(keyframe.target));
+        fovs.push(keyframe.fov > 0 ? keyframe.fov : fovs[fovs.length - 1]);
+        times.push(times[times.length - 1] + Math.max(0, Number(keyframe.duration) || 1500));
+    });
+
+    // A single segment is a straight line, just like the old lerp tween
+    camPath = {
+        positions: new THREE.CatmullRomCurve3(positions, false, 'centripetal'),
+        targets: new THREE.CatmullRomCurve3(targets, false, 'centripetal'),
+        fovs,
+        times,
+        easing: CAMERA_EASINGS[easing] || CAMERA_EASINGS.smoothstep
+    };
+    camMoveDuration = times[times.length - 1];
     camMoveStart = performance.now();
     camMoveActive = true;
+}
 
-    camStartPos.copy(viewer.camera.position);
-    camStartTarget.copy(viewer.controls.target);
-    camTargetPos.copy(positionVec);
-    camTargetTarget.copy(lookAtVec);
+function updateCameraPath(now) {
+    const { positions, targets, fovs, times, easing } = camPath;
+    const t = camMoveDuration > 0 ? Math.min(1, (now - camMoveStart) / camMoveDuration) : 1;
+    const pathTime = easing(t) * camMoveDuration;
+
+    // Find the keyframe segment we're in and how far along it
+    let segment = 0;
+    while (segment < times.length - 2 && pathTime > times[segment + 1]) segment++;
+    const segmentLength = times[segment + 1] - times[segment];
+    const u = segmentLength > 0 ? THREE.MathUtils.clamp((pathTime - times[segment]) / segmentLength, 0, 1) : 1;
+    const curveT = (segment + u) / (times.length - 1);
+
+    positions.getPoint(curveT, viewer.camera.position);
+    targets.getPoint(curveT, viewer.controls.target);
+    const fov = THREE.MathUtils.lerp(fovs[segment], fovs[segment + 1], u);
+    if (fov !== viewer.camera.fov) {
+        viewer.camera.fov = fov;
+        viewer.camera.updateProjectionMatrix();
+    }
+    viewer.controls.update();
+    return t >= 1;
+}
+
+// Fly-to for an annotation: its optional `cameraPath` keyframes first, then its saved camera
+function flyToAnnotation(data) {
+    const keyframes = Array.isArray(data.cameraPath) ? data.cameraPath.slice() : [];
+    if (data.cameraPos && data.cameraLookAt) {
+        keyframes.push({ position: data.cameraPos, target: data.cameraLookAt, fov: data.cameraFov, duration: data.cameraDuration || 1500 });
+    }
+    if (keyframes.length > 0) playCameraPath(keyframes, data.cameraPathEasing);
+}
+
+// Time left on the current camera move, in ms
+function getCameraMoveRemaining() {
+    return camMoveActive ? Math.max(0, camMoveStart + camMoveDuration - performance.now()) : 0;
 }
 
 
-async function loadStage(index) {
-    if (isLoading) return;
+// `view` can carry a cameraPosition/cameraLookAt pair to start from instead of the stage's initial camera,
+// `allowDuringExport` for exports that walk through the stages themselves (they leave the URL and history
+// alone), and `skipTransition` to swap the scans without a cross-fade
+// A newer click wins: downloads only the older load needed are aborted, and that load bows out
+// as soon as it notices. Loads still run one after another, so the viewer is never touched twice at once.
+// The caller waits for `previousLoad`, checks `loadId` against stageLoadId and calls `finishLoad` when done.
+function claimViewerLoad(urls) {
+    const loadId = ++stageLoadId;
+    if (isLoading || isStreamingStage) {
+        activeLoadUrls.filter(url => !urls.includes(url)).forEach(abortSplatDownload);
+    }
+    activeLoadUrls = urls;
+    isStreamingStage = false; // A scan still streaming in is dropped along with its load
+    const previousLoad = activeStageLoad;
+    let finishLoad;
+    activeStageLoad = new Promise(resolve => { finishLoad = resolve; });
+
     isLoading = true;
-    customLoader.classList.remove('opacity-0', 'pointer-events-none');
+    return { loadId, previousLoad, finishLoad };
+}
 
-    try {
-        if (viewer) {
-            try {
-                viewer.dispose();
-            } catch (e) {
-                console.error("Error disposing viewer, continuing...", e);
-            }
-            const oldCanvas = viewerContainer.querySelector('canvas');
-            if (oldCanvas) {
-                viewerContainer.removeChild(oldCanvas);
-            }
-        }
+async function loadStage(index, view = {}) {
+    if (isExporting && !view.allowDuringExport) return;
+
+    const stage = constructionStages[index];
+    // A stage can't be checked for changes against itself
+    if (changeStageIndex === index) changeStageIndex = -1;
+    const swipeStage = swipeStageIndex !== -1 ? constructionStages[swipeStageIndex] : null;
+    const changeIndex = changeStageIndex;
+    const changeStage = changeIndex !== -1 ? constructionStages[changeIndex] : null;
+    const pairedStage = swipeStage || changeStage;
+    if (!changeStage) changeAnalysis = null; // Only kept to recolour the pair on screen
+    const stageUrls = pairedStage ? [stage.splatUrl, pairedStage.splatUrl] : [stage.splatUrl];
 
+    const { loadId, previousLoad, finishLoad } = claimViewerLoad(stageUrls);
+    hideLoadError();
+    showLoaderProgress(null);
+    customLoader.classList.remove('opacity-0');
+    streamProgress.classList.add('hidden');
 
+    try {
+        await previousLoad;
+        if (loadId !== stageLoadId) return;
 
+        // With keep-camera on, the new stage opens where the user was looking; its limits are applied below
+        const keptView = !view.cameraPosition && canKeepCamera(index) ? getCurrentView() : {};
+        const cameraPosition = view.cameraPosition || keptView.cameraPosition || stage.initialCameraPosition;
+        const cameraLookAt = view.cameraLookAt || keptView.cameraLookAt || stage.initialCameraLookAt;
 
+        // One viewer lives for the whole session; switching stages only swaps its splat scenes
+        if (!viewer) viewer = createViewer(cameraPosition, cameraLookAt);
 
-        const stage = constructionStages[index];
+        let stream = null;
+        if (canStreamStage(stage) && !pairedStage) {
+            // The old stage goes right away and the new one fills in as it arrives
+            await resetViewerForStage(stage, cameraPosition, cameraLookAt);
+            stream = streamSplatScene(stage.splatUrl, getStageSceneOptions(stage), () => loadId === stageLoadId, (percent) => {
+                if (loadId === stageLoadId) showLoaderProgress(percent);
+            });
+            await stream.firstSection;
+            if (loadId !== stageLoadId) return;
+            customLoader.classList.add('opacity-0');
+            streamProgress.classList.remove('hidden');
+        } else {
+            // Decoded scenes come from the cache when possible; the old stage stays on screen while downloading
+            const progress = stageUrls.map(() => 0);
+            const splatBuffers = await Promise.all(stageUrls.map((url, i) => getSplatBuffer(url, (percent) => {
+                progress[i] = percent;
+                if (loadId === stageLoadId) showLoaderProgress(progress.reduce((a, b) => a + b, 0) / progress.length);
+            })));
+            if (loadId !== stageLoadId) return;
+            showLoaderProgress(100);
 
-        viewer = new GaussianSplats3D.Viewer({
-            'rootElement': viewerContainer,
-            'cameraUp': [0, -1, 0],
-            'initialCameraPosition': stage.initialCameraPosition,
-            'initialCameraLookAt': stage.initialCameraLookAt,
-            'threeScene': threeScene,
-            'sharedMemoryForWorkers': false,
-            'workerUrl': './libs/gaussian-splats-3d.worker.js'
-        });
+            // With one stage on screen the new one fades in over it instead of replacing it
+            const transition = !pairedStage && !isExporting && !view.skipTransition && viewer.getSceneCount() === 1
+                ? getStageTransition(stage) : null;
+            if (transition) {
+                customLoader.classList.add('opacity-0');
+                const flyTo = transition.cameraMove && !keptView.cameraPosition ? { cameraPosition, cameraLookAt } : null;
+                if (!flyTo) setStageCamera(cameraPosition, cameraLookAt);
+                await crossFadeToStage(splatBuffers[0], getStageSceneOptions(stage), transition.duration, flyTo, () => loadId === stageLoadId);
+                setStageCamera(cameraPosition, cameraLookAt);
+                viewer.sceneRevealMode = getStageRevealMode(stage);
+                if (loadId !== stageLoadId) return;
+            } else if (changeStage) {
+                await measureStageChanges([index, changeIndex], splatBuffers, () => loadId === stageLoadId);
+                if (loadId !== stageLoadId) return;
+                await resetViewerForStage(stage, cameraPosition, cameraLookAt);
+                // Both scans stay hidden until they are recoloured, so their own colours never flash up
+                const sceneOptions = [stage, changeStage].map(pairStage => ({ ...getStageSceneOptions(pairStage), opacity: 0 }));
+                await viewer.addSplatBuffers(splatBuffers, sceneOptions, true, false, false);
+                applyChangeColors();
+            } else {
+                await resetViewerForStage(stage, cameraPosition, cameraLookAt);
+                const sceneOptions = swipeStage ? [stage, swipeStage].map(getStageSceneOptions) : [getStageSceneOptions(stage)];
+                await viewer.addSplatBuffers(splatBuffers, sceneOptions, true, false, false);
+            }
+            trimSceneCache();
+        }
 
-        await viewer.addSplatScene(stage.splatUrl, {
-            'showLoadingUI': false,
-        });
+        if (!changeStage) restoreSphericalHarmonicsDegree();
 
-        viewer.start();
+        // A freshly loaded stage starts from its own camera, so the comparison viewport follows it
+        compareDriver = 'primary';
 
         // Set pan lock status for the animation loop
         isPanLockActive = stage.panLock;
@@ -200,15 +481,60 @@ async function loadStage(index) {
         } else if (zoomLockEnabled) {
             viewer.controls.minDistance = zoomMinDistance;
             viewer.controls.maxDistance = zoomMaxDistance;
+        } else {
+            // The previous stage's limits would otherwise stick to the shared controls
+            viewer.controls.minDistance = 0;
+            viewer.controls.maxDistance = Infinity;
         }
+        // Orbit controls clamp the distance and the polar angle to the limits on update
+        viewer.controls.update();
+        applyControlLimits(compareViewer);
 
+        currentStageIndex = index;
+        editorSelectedIndex = -1;
+        // Measurements are in the previous scan's units
+        clearMeasurements();
+        updateMeasureScaleLabel();
+        calibrationPoints = [];
+        setCalibrationPicking(false);
+        refreshCalibrationPanel();
+        isConverterPreviewActive = false;
+        refreshConverterPanel();
+        refreshAlignmentPanel();
         await addAnnotations(index);
         updateTimelineUI(index);
+        if (!view.allowDuringExport) updateViewHash(!isApplyingLinkedView);
+        updateCompareBar();
+        viewerContainer.classList.toggle('swipe-mode', swipeStage !== null);
+        updateChangePanel();
 
         // Initialize movable dot after stage is loaded
         createMovableDot();
         initializeDotControls();
 
+        // A fly-to from the previous stage must not carry over; a stage can have its own intro path instead
+        camMoveActive = false;
+        if (Array.isArray(stage.introPath) && stage.introPath.length > 0 && !view.cameraPosition && !keptView.cameraPosition) {
+            playCameraPath(stage.introPath, stage.introPathEasing);
+        }
+
+        // A streamed stage is usable once it's on screen; only the rest of its scan is still on the way
+        if (stream && loadId === stageLoadId) {
+            isLoading = false;
+            isStreamingStage = true;
+        }
+
+        // A tour restarts from the top of whichever stage was loaded, its own or the user's pick
+        if (tourActive) onTourStageLoaded();
+
+        // Holding the load open until the scan is complete keeps the next stage from clearing it mid-build
+        if (stream) {
+            await stream.done;
+            trimSceneCache();
+        }
+
+        scheduleNeighbourPrefetch(index);
+
         // Initialize annotations menu with a small delay to ensure DOM is ready
         // setTimeout(() => {
         //     initializeAnnotationsMenu();
@@ -216,380 +542,3981 @@ async function loadStage(index) {
         // }, 100);
 
     } catch (error) {
+        if (loadId !== stageLoadId) return; // Aborted in favour of a newer load
         console.error(`Failed to load stage ${index}:`, error);
-        alert(`Failed to load stage. See console for details.`);
+        if (tourActive) setTourPaused(true);
+        if (swipeStageIndex !== -1) {
+            swipeStageIndex = -1;
+            viewerContainer.classList.remove('swipe-mode');
+            updateTimelineUI(currentStageIndex);
+            updateCompareBar();
+        }
+        if (changeStageIndex !== -1) {
+            changeStageIndex = -1;
+            restoreSphericalHarmonicsDegree();
+            updateTimelineUI(currentStageIndex);
+            updateCompareBar();
+            updateChangePanel();
+        }
+        showLoadError(`Couldn't load "${stage.title}".`, () => loadStage(index, view));
     } finally {
-        isLoading = false;
-        customLoader.classList.add('opacity-0', 'pointer-events-none');
+        finishLoad();
+        if (loadId === stageLoadId) {
+            isLoading = false;
+            isStreamingStage = false;
+            activeLoadUrls = [];
+            customLoader.classList.add('opacity-0');
+            streamProgress.classList.add('hidden');
+        }
+    }
+}
+
+// Keep-camera button. The user's choice is remembered; until they make one, stages.json decides.
+function initializeKeepCamera(defaultValue) {
+    const saved = localStorage.getItem('keep-camera');
+    keepCameraOnStageSwitch = saved === null ? defaultValue : saved === 'true';
+
+    const button = document.getElementById('keep-camera-button');
+    if (!button) return;
+    button.addEventListener('click', () => {
+        keepCameraOnStageSwitch = !keepCameraOnStageSwitch;
+        localStorage.setItem('keep-camera', keepCameraOnStageSwitch);
+        updateKeepCameraButton();
+    });
+    updateKeepCameraButton();
+}
+
+function updateKeepCameraButton() {
+    const icon = document.getElementById('keep-camera-icon');
+    if (!icon) return;
+    icon.classList.toggle('text-blue-500', keepCameraOnStageSwitch);
+    icon.classList.toggle('text-gray-800', !keepCameraOnStageSwitch);
+    document.getElementById('keep-camera-button').title = keepCameraOnStageSwitch
+        ? 'Keeping the camera when switching stages (click to reset to each stage\'s view)'
+        : 'Keep the camera when switching stages';
+}
+
+// Only between two stages in the same site frame; a stage with "keepCamera": false always opens on its own view
+function canKeepCamera(index) {
+    const current = constructionStages[currentStageIndex];
+    return keepCameraOnStageSwitch && Boolean(viewer) && current !== undefined && index !== currentStageIndex &&
+        current.keepCamera !== false && constructionStages[index].keepCamera !== false;
+}
+
+// Percentage under the loading spinner; null while nothing is known yet
+function showLoaderProgress(percent) {
+    const label = document.getElementById('loader-progress');
+    if (!label) return;
+    if (percent === null) {
+        label.textContent = 'Loading…';
+    } else if (percent >= 100) {
+        label.textContent = 'Processing…';
+    } else {
+        label.textContent = `Downloading ${Math.floor(percent)}%`;
+    }
+    document.getElementById('stream-progress-label').textContent = percent === null ? 'Streaming…' : `Streaming ${Math.floor(Math.min(percent, 100))}%`;
+}
+
+// Stages opt in with "progressiveLoad"; a scene already cached or downloading gains nothing from it
+function canStreamStage(stage) {
+    if (!stage.progressiveLoad) return false;
+    if (splatBufferCache.has(stage.splatUrl) || pendingSplatDownloads.has(stage.splatUrl)) return false;
+    return GaussianSplats3D.Viewer.isProgressivelyLoadable(getSceneSource(stage.splatUrl).format);
+}
+
+// "sceneRevealMode" in stages.json: streamed stages fade in gradually unless they say otherwise
+function getStageRevealMode(stage) {
+    const modes = {
+        default: GaussianSplats3D.SceneRevealMode.Default,
+        gradual: GaussianSplats3D.SceneRevealMode.Gradual,
+        instant: GaussianSplats3D.SceneRevealMode.Instant
+    };
+    if (stage.sceneRevealMode in modes) return modes[stage.sceneRevealMode];
+    return stage.progressiveLoad ? GaussianSplats3D.SceneRevealMode.Gradual : GaussianSplats3D.SceneRevealMode.Default;
+}
+
+// Empties the main viewer and points it at the new stage's starting view
+async function resetViewerForStage(stage, cameraPosition, cameraLookAt) {
+    await clearViewerScenes(viewer);
+    setStageCamera(cameraPosition, cameraLookAt);
+    // Removing scenes leaves the viewer on instant reveal, so every stage sets its own
+    viewer.sceneRevealMode = getStageRevealMode(stage);
+}
+
+function setStageCamera(cameraPosition, cameraLookAt) {
+    setViewerCamera(viewer, cameraPosition, cameraLookAt);
+    viewer.camera.fov = defaultCameraFov;
+    viewer.camera.updateProjectionMatrix();
+}
+
+// "transition" in stages.json, site-wide or on the stage being switched to: { "duration": ms, "cameraMove": bool },
+// or false for a hard cut
+function mergeStageTransition(base, overrides) {
+    if (overrides === false) return { ...base, duration: 0 };
+    return { ...base, ...overrides };
+}
+
+function getStageTransition(stage) {
+    if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) return null;
+    const transition = mergeStageTransition(stageTransition, stage.transition);
+    return transition.duration > 0 ? transition : null;
+}
+
+// Adds the incoming scene next to the one on screen and swaps their opacities over `duration` ms, optionally
+// flying the camera to `flyTo` meanwhile, then drops the outgoing scene. A newer load cuts the fade short.
+async function crossFadeToStage(splatBuffer, sceneOptions, duration, flyTo, isCurrent) {
+    // Instant reveal keeps the library's own fade-in from hiding the outgoing scene while the mesh rebuilds
+    viewer.sceneRevealMode = GaussianSplats3D.SceneRevealMode.Instant;
+    const incomingOptions = { ...sceneOptions, opacity: 0 };
+    await viewer.addSplatBuffers([splatBuffer], [incomingOptions], true, false, false);
+    const outgoing = viewer.getSplatScene(0);
+    const incoming = viewer.getSplatScene(1);
+
+    if (flyTo && isCurrent()) {
+        playCameraPath([{ position: flyTo.cameraPosition, target: flyTo.cameraLookAt, fov: defaultCameraFov, duration }]);
     }
+
+    // The incoming scan is mostly in before the outgoing one thins out, so the site never looks see-through
+    await new Promise(resolve => {
+        const start = performance.now();
+        const step = (now) => {
+            const t = isCurrent() ? Math.min((now - start) / duration, 1) : 1;
+            incoming.opacity = THREE.MathUtils.smoothstep(t, 0, 0.6);
+            outgoing.opacity = 1 - THREE.MathUtils.smoothstep(t, 0.4, 1);
+            if (t < 1) {
+                requestAnimationFrame(step);
+            } else {
+                resolve();
+            }
+        };
+        requestAnimationFrame(step);
+    });
+
+    camMoveActive = false;
+    // Removing a scene rebuilds the others from the options they were added with
+    incomingOptions.opacity = 1;
+    await viewer.removeSplatScenes([0], false);
+}
+
+// Without a retry the problem is with the input, not the connection, so only the message is shown
+function showLoadError(message, retry = null) {
+    loadErrorRetry = retry;
+    document.getElementById('load-error-message').textContent = message;
+    document.getElementById('load-error-hint').classList.toggle('hidden', !retry);
+    document.getElementById('load-error-retry').classList.toggle('hidden', !retry);
+    document.getElementById('load-error').classList.remove('hidden');
+}
+
+function hideLoadError() {
+    loadErrorRetry = null;
+    document.getElementById('load-error').classList.add('hidden');
+}
+
+function initializeLoadErrorPanel() {
+    document.getElementById('load-error-retry').addEventListener('click', () => {
+        const retry = loadErrorRetry;
+        hideLoadError();
+        if (retry) retry();
+    });
+    document.getElementById('load-error-dismiss').addEventListener('click', hideLoadError);
 }
 
         function createTimeline() {
+    constructionStages.forEach(createTimelineItem);
+    layoutTimeline();
+}
+
+// Adds one stage to the end of both the desktop timeline and the mobile menu
+function createTimelineItem(stage, index) {
     const desktopContainer = document.getElementById('timeline-container');
     const mobileContainer = document.getElementById('mobile-timeline-container');
 
-    constructionStages.forEach((stage, index) => {
-        // Create Desktop Item
-        const desktopItem = document.createElement('div');
-        desktopItem.className = 'timeline-item';
-        desktopItem.innerHTML = `<div class="timeline-dot"></div><div class="timeline-label">${stage.title}</div>`;
-        desktopItem.addEventListener('click', () => loadStage(index));
-        // The 'mouseenter' event listener that was here has been permanently removed.
-        // It was the root cause of the WebGL context errors.
-        desktopContainer.appendChild(desktopItem);
-
-        // Create Mobile Item
-        const mobileItem = document.createElement('a');
-        mobileItem.href = '#';
-        mobileItem.className = 'block p-4 text-gray-700 hover:bg-gray-100';
-        mobileItem.textContent = stage.title;
-        mobileItem.addEventListener('click', (e) => {
-            e.preventDefault();
-            loadStage(index);
-            toggleMenu(false); // Close menu on selection
-        });
-        mobileContainer.appendChild(mobileItem);
+    // Create Desktop Item
+    const desktopItem = document.createElement('div');
+    desktopItem.className = 'timeline-item';
+    const date = getStageDate(stage);
+    desktopItem.innerHTML = `<div class="timeline-dot"></div><div class="timeline-label">${escapeHtml(stage.title)}</div>` +
+        (date ? `<div class="timeline-date">${escapeHtml(formatStageDate(date))}</div>` : '');
+    const details = getStageDetails(stage);
+    if (details.length) desktopItem.title = details.map(([label, value]) => `${label}: ${value}`).join('\n');
+    desktopItem.addEventListener('click', () => loadStage(index));
+    // The 'mouseenter' event listener that was here has been permanently removed.
+    // It was the root cause of the WebGL context errors.
+
+    const desktopActions = document.createElement('div');
+    desktopActions.className = 'timeline-actions';
+    desktopActions.appendChild(createStageActionButton('Compare', 'Compare side by side with the current stage', () => loadCompareStage(index)));
+    desktopActions.appendChild(createStageActionButton('Swipe', 'Swipe between this and the current stage', () => enterSwipeMode(index)));
+    desktopActions.appendChild(createStageActionButton('Changes', 'Highlight what changed between this and the current stage', () => enterChangeMode(index)));
+    desktopItem.appendChild(desktopActions);
+    desktopContainer.appendChild(desktopItem);
+
+    // Create Mobile Item
+    const mobileRow = document.createElement('div');
+    mobileRow.className = 'mobile-timeline-row flex items-center';
+    const mobileItem = document.createElement('a');
+    mobileItem.href = '#';
+    mobileItem.className = 'block flex-1 p-4 text-gray-700 hover:bg-gray-100';
+    mobileItem.textContent = stage.title;
+    if (date) {
+        const mobileDate = document.createElement('span');
+        mobileDate.className = 'block text-xs text-gray-500';
+        mobileDate.textContent = [formatStageDate(date), stage.capturedBy, stage.weather].filter(Boolean).join(' · ');
+        mobileItem.appendChild(mobileDate);
+    }
+    mobileItem.addEventListener('click', (e) => {
+        e.preventDefault();
+        loadStage(index);
+        toggleMenu(false); // Close menu on selection
     });
+    mobileRow.appendChild(mobileItem);
+
+    const mobileActions = document.createElement('div');
+    mobileActions.className = 'timeline-actions flex space-x-1 mr-2';
+    mobileActions.appendChild(createStageActionButton('Compare', 'Compare side by side with the current stage', () => {
+        loadCompareStage(index);
+        toggleMenu(false);
+    }));
+    mobileActions.appendChild(createStageActionButton('Swipe', 'Swipe between this and the current stage', () => {
+        enterSwipeMode(index);
+        toggleMenu(false);
+    }));
+    mobileActions.appendChild(createStageActionButton('Changes', 'Highlight what changed between this and the current stage', () => {
+        enterChangeMode(index);
+        toggleMenu(false);
+    }));
+    mobileRow.appendChild(mobileActions);
+    mobileContainer.appendChild(mobileRow);
 }
 
-async function addAnnotations(stageIndex) {
-    // Clear previous annotations
-    while(threeScene.children.length > 0){ 
-        threeScene.remove(threeScene.children[0]); 
-    }
-    currentAnnotations = [];
+// Optional stage details from stages.json, shown as the timeline tooltip: `date`, `capturedBy`, `weather`
+// and anything under `metadata` as { "Label": "value" }
+const STAGE_DETAIL_LABELS = { capturedBy: 'Captured by', weather: 'Weather' };
 
-    const stage = constructionStages[stageIndex];
-    if (!stage.annotationsUrl) return;
+function getStageDate(stage) {
+    if (!stage.date) return null;
+    const date = new Date(stage.date);
+    return isNaN(date.getTime()) ? null : date;
+}
 
-    let stageAnnotations = [];
-    try {
-        const response = await fetch(stage.annotationsUrl);
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        stageAnnotations = await response.json();
-    } catch (error) {
-        console.error(`Failed to load annotations from ${stage.annotationsUrl}:`, error);
-        return; // Don't proceed if annotations fail to load
-    }
-
-    stageAnnotations.forEach(annoData => {
-        // Outline (a thin ring)
-        // Smaller ring for annotation outline
-        const outlineGeometry = new THREE.RingGeometry(0.07, 0.08, 32);
-        // Softer outline color (light slate)
-        const outlineMaterial = new THREE.MeshBasicMaterial({ color: 0xbbbbbb, side: THREE.DoubleSide });
-        const outline = new THREE.Mesh(outlineGeometry, outlineMaterial);
-
-        // Fill (a circle that fits inside the ring)
-        // Smaller fill circle
-        const fillGeometry = new THREE.CircleGeometry(0.07, 32);
-        // Subtle fill accent color (sky blue)
-        const fillMaterial = new THREE.MeshBasicMaterial({ color: 0x3b82f6, transparent: true, opacity: 0.01, side: THREE.DoubleSide });
-        const fill = new THREE.Mesh(fillGeometry, fillMaterial);
-        fill.userData.isFill = true; // For easy identification
-
-        const group = new THREE.Group();
-        group.add(outline);
-        group.add(fill);
-
-        group.position.set(annoData.pos[0], annoData.pos[1], annoData.pos[2]);
-        group.userData = {
-            title: annoData.title,
-            description: annoData.desc,
-            targetScale: 1.0,
-            targetOpacity: 0.01
-        };
+function formatStageDate(date) {
+    // Date-only strings parse as UTC midnight, so format them in UTC to keep the day the file says
+    const options = { year: 'numeric', month: 'short', day: 'numeric' };
+    const isDateOnly = date.getUTCHours() === 0 && date.getUTCMinutes() === 0 && date.getUTCSeconds() === 0;
+    return date.toLocaleDateString(undefined, isDateOnly ? { ...options, timeZone: 'UTC' } : options);
+}
 
-        threeScene.add(group);
-        currentAnnotations.push(group);
+function getStageDetails(stage) {
+    const details = [];
+    const date = getStageDate(stage);
+    if (date) details.push(['Date', formatStageDate(date)]);
+    Object.entries(STAGE_DETAIL_LABELS).forEach(([field, label]) => {
+        if (stage[field]) details.push([label, stage[field]]);
     });
-    
-    // Populate the annotations menu
-    populateAnnotationsMenu(stageAnnotations);
+    Object.entries(stage.metadata || {}).forEach(([label, value]) => details.push([label, value]));
+    return details;
 }
 
-                                function onAnnotationHover(event) {
-    const rect = viewerContainer.getBoundingClientRect();
+// The timeline is laid out by date only when every stage has one and they aren't all the same
+function isTimelineDated() {
+    const times = constructionStages.map(stage => getStageDate(stage)?.getTime());
+    return times.length > 1 && times.every(Number.isFinite) && Math.min(...times) < Math.max(...times);
+}
 
-    // Final fix: Check if the mouse is actually inside the viewer container.
-    // This prevents hover logic from running when the cursor re-enters from another element,
-    // which was the true root cause of the WebGL context errors.
-    if (event.clientX < rect.left || event.clientX > rect.right || event.clientY < rect.top || event.clientY > rect.bottom) {
-        // If outside, but an annotation was previously hovered, un-hover it.
-        if (hoveredAnnotation) {
-            hoveredAnnotation.scale.set(1, 1, 1);
-            const oldFill = hoveredAnnotation.children.find(c => c.userData.isFill);
-            if(oldFill) oldFill.material.opacity = 0.01;
-            hoveredAnnotation = null;
+// Stage indices from left to right along the timeline
+function getTimelineOrder() {
+    const order = constructionStages.map((stage, index) => index);
+    if (isTimelineDated()) {
+        order.sort((a, b) => getStageDate(constructionStages[a]) - getStageDate(constructionStages[b]) || a - b);
+    }
+    return order;
+}
+
+// Places the desktop items along the track in proportion to their dates, or leaves them evenly spaced
+function layoutTimeline() {
+    const container = document.getElementById('timeline-container');
+    const items = container.querySelectorAll('.timeline-item');
+    const dated = isTimelineDated();
+    container.classList.toggle('timeline-dated', dated);
+    items.forEach(item => { item.style.left = ''; });
+
+    if (dated) {
+        const order = getTimelineOrder();
+        const times = order.map(index => getStageDate(constructionStages[index]).getTime());
+        const first = times[0];
+        const span = times[times.length - 1] - first;
+        // Captures close together are pushed apart just enough for their labels (9rem) not to overlap
+        const trackWidth = container.clientWidth - 144;
+        const minGap = trackWidth > 0 ? Math.min(144 / trackWidth, 1 / (order.length - 1)) : 0;
+        const positions = times.map(time => (time - first) / span);
+        for (let i = 1; i < positions.length; i++) {
+            positions[i] = Math.max(positions[i], positions[i - 1] + minGap);
         }
-        return;
+        positions[positions.length - 1] = Math.min(positions[positions.length - 1], 1);
+        for (let i = positions.length - 2; i >= 0; i--) {
+            positions[i] = Math.min(positions[i], positions[i + 1] - minGap);
+        }
+        order.forEach((stageIndex, i) => {
+            items[stageIndex].style.left = `calc(4.5rem + ${positions[i].toFixed(4)} * (100% - 9rem))`;
+        });
     }
+    positionTimelineScrubber();
+}
 
-    if (!viewer || !viewer.camera) return;
+// Horizontal centre of a timeline item's dot, relative to the timeline container
+function getTimelineItemCentre(item) {
+    const containerRect = document.getElementById('timeline-container').getBoundingClientRect();
+    const dotRect = item.querySelector('.timeline-dot').getBoundingClientRect();
+    return dotRect.left + dotRect.width / 2 - containerRect.left;
+}
 
-    mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-    mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+function positionTimelineScrubber(activeIndex = currentStageIndex) {
+    const scrubber = document.getElementById('timeline-scrubber');
+    if (scrubber.classList.contains('dragging')) return;
+    const item = document.querySelectorAll('.timeline-item')[activeIndex];
+    scrubber.classList.toggle('hidden', !item);
+    if (item) scrubber.style.left = `${getTimelineItemCentre(item)}px`;
+}
 
-    raycaster.setFromCamera(mouse, viewer.camera);
+function initializeTimelineNavigation() {
+    const container = document.getElementById('timeline-container');
+    const scrubber = document.getElementById('timeline-scrubber');
 
-    const intersects = raycaster.intersectObjects(currentAnnotations, true);
-    const intersectedGroup = (intersects.length > 0) ? intersects[0].object.parent : null;
+    // Dragging the ring highlights the nearest stage; it is loaded when the ring is let go
+    scrubber.addEventListener('pointerdown', (e) => {
+        if (isExporting) return;
+        e.preventDefault();
+        scrubber.setPointerCapture(e.pointerId);
+        scrubber.classList.add('dragging');
+        scrubTargetIndex = currentStageIndex;
+    });
+    scrubber.addEventListener('pointermove', (e) => {
+        if (!scrubber.classList.contains('dragging')) return;
+        const items = [...container.querySelectorAll('.timeline-item')];
+        const centres = items.map(getTimelineItemCentre);
+        const x = Math.min(Math.max(e.clientX - container.getBoundingClientRect().left, Math.min(...centres)), Math.max(...centres));
+        scrubber.style.left = `${x}px`;
+        scrubTargetIndex = centres.reduce((nearest, centre, index) =>
+            Math.abs(centre - x) < Math.abs(centres[nearest] - x) ? index : nearest, 0);
+        items.forEach((item, index) => item.classList.toggle('scrub-target', index === scrubTargetIndex && index !== currentStageIndex));
+    });
+    const endScrub = (e) => {
+        if (!scrubber.classList.contains('dragging')) return;
+        scrubber.classList.remove('dragging');
+        container.querySelectorAll('.timeline-item.scrub-target').forEach(item => item.classList.remove('scrub-target'));
+        const target = scrubTargetIndex;
+        scrubTargetIndex = -1;
+        if (e.type === 'pointerup' && target !== -1 && target !== currentStageIndex) {
+            loadStage(target);
+        }
+        positionTimelineScrubber();
+    };
+    scrubber.addEventListener('pointerup', endScrub);
+    scrubber.addEventListener('pointercancel', endScrub);
 
-    // Handle un-hovering
-    if (hoveredAnnotation && hoveredAnnotation !== intersectedGroup) {
-        hoveredAnnotation.userData.targetScale = 1.0;
-        hoveredAnnotation.userData.targetOpacity = 0.01;
-        hoveredAnnotation = null;
+    window.addEventListener('resize', throttle(layoutTimeline, 100));
+
+    // Left/right step through the stages in timeline order. Registered on capture so the viewer's own
+    // arrow-key handling (which rolls the camera) doesn't also run. Open modals and focused panels keep the keys.
+    const panelSelector = 'input, textarea, select, [contenteditable="true"], #annotations-menu, #mobile-menu, #theme-menu, ' +
+        '#tour-bar, #export-panel, #change-panel, #measure-panel, #movable-dot-controls';
+    window.addEventListener('keydown', (e) => {
+        if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+        if (e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+        if (e.target instanceof Element && e.target.closest(panelSelector)) return;
+        if (['help-modal', 'annotation-modal'].some(id => !document.getElementById(id).classList.contains('opacity-0'))) return;
+        e.preventDefault();
+        e.stopPropagation();
+        stepStage(e.key === 'ArrowRight' ? 1 : -1);
+    }, true);
+}
+
+function stepStage(direction) {
+    if (isExporting) return;
+    const order = getTimelineOrder();
+    const from = isLoading && timelineStepIndex !== -1 ? timelineStepIndex : currentStageIndex;
+    const next = order[order.indexOf(from) + direction];
+    if (next === undefined) return;
+    timelineStepIndex = next;
+    loadStage(next);
+}
+
+function createStageActionButton(label, title, onClick) {
+    const button = document.createElement('button');
+    button.className = 'timeline-action-button';
+    button.textContent = label;
+    button.title = title;
+    button.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation(); // Don't load the stage into the main viewport
+        onClick();
+    });
+    return button;
+}
+
+// Loads a second stage into its own viewport next to the main one. Both cameras stay in sync.
+async function loadCompareStage(index) {
+    if (isCompareLoading || isLoading || !viewer || !viewer.camera || !viewer.controls) return;
+    // Swipe, change highlighting and split-screen are mutually exclusive
+    if (swipeStageIndex !== -1) {
+        await exitSwipeMode();
     }
+    if (changeStageIndex !== -1) {
+        await exitChangeMode();
+    }
+    isCompareLoading = true;
+    hideLoadError();
+    showLoaderProgress(null);
+    customLoader.classList.remove('opacity-0');
+    streamProgress.classList.add('hidden');
 
-    // Handle new hover
-    if (intersectedGroup && hoveredAnnotation !== intersectedGroup) {
-        hoveredAnnotation = intersectedGroup;
-        hoveredAnnotation.userData.targetScale = 1.5;
-        hoveredAnnotation.userData.targetOpacity = 0.8;
+    try {
+        viewerContainer.classList.add('compare-mode');
+
+        const stage = constructionStages[index];
+        const position = viewer.camera.position.toArray();
+        const target = viewer.controls.target.toArray();
+
+        // Like the main viewer, the comparison viewer is created once and then only has its scenes swapped
+        if (!compareViewer) {
+            compareViewer = new GaussianSplats3D.Viewer({
+                'rootElement': compareCanvasHost,
+                'cameraUp': [0, -1, 0],
+                'initialCameraPosition': position,
+                'initialCameraLookAt': target,
+                'sphericalHarmonicsDegree': 2,
+                'sharedMemoryForWorkers': false,
+                'workerUrl': './libs/gaussian-splats-3d.worker.js'
+            });
+        } else {
+            await compareSceneRemoval;
+            await clearViewerScenes(compareViewer);
+            setViewerCamera(compareViewer, position, target);
+        }
+
+        const splatBuffer = await getSplatBuffer(stage.splatUrl, showLoaderProgress);
+        showLoaderProgress(100);
+        await compareViewer.addSplatBuffers([splatBuffer], [getStageSceneOptions(stage)], true, false, false);
+        trimSceneCache();
+
+        if (!compareViewer.selfDrivenModeRunning) compareViewer.start();
+        applyControlLimits(compareViewer);
+
+        compareStageIndex = index;
+        compareDriver = 'primary';
+        updateTimelineUI(currentStageIndex);
+        updateCompareBar();
+    } catch (error) {
+        console.error(`Failed to load comparison stage ${index}:`, error);
+        exitCompareMode();
+        showLoadError(`Couldn't load "${constructionStages[index].title}" for comparison.`, () => loadCompareStage(index));
+    } finally {
+        isCompareLoading = false;
+        customLoader.classList.add('opacity-0');
     }
 }
 
-        function onAnnotationPointerDown(event) {
-    if (!viewer || !viewer.camera) return;
-    
-    console.log('Annotation pointer down event triggered');
-    
-    // If click happens within the construction stages mobile menu, allow it to propagate for its own handlers
-    const stagesMenuEl = document.getElementById('mobile-menu');
-    if (stagesMenuEl && stagesMenuEl.contains(event.target)) {
-        // Let the menu handle the click (e.g., stage links)
-        return;
+// Parks the comparison viewer: its render loop stops and its scene is freed, but it stays around for next time
+function releaseCompareViewer() {
+    if (!compareViewer) return;
+    compareViewer.stop();
+    compareSceneRemoval = Promise.resolve(compareSceneRemoval)
+        .then(() => clearViewerScenes(compareViewer))
+        .catch(error => console.error('Failed to clear the comparison viewer:', error));
+}
+
+function exitCompareMode() {
+    releaseCompareViewer();
+    compareStageIndex = -1;
+    compareDriver = 'primary';
+    viewerContainer.classList.remove('compare-mode');
+    updateTimelineUI(currentStageIndex);
+    updateCompareBar();
+}
+
+// The follower has to accept every pose the driver can reach, so it inherits the main viewer's limits
+function applyControlLimits(targetViewer) {
+    if (!targetViewer || !targetViewer.controls || !viewer || !viewer.controls) return;
+    targetViewer.controls.minDistance = viewer.controls.minDistance;
+    targetViewer.controls.maxDistance = viewer.controls.maxDistance;
+    targetViewer.controls.minPolarAngle = viewer.controls.minPolarAngle;
+    targetViewer.controls.maxPolarAngle = viewer.controls.maxPolarAngle;
+}
+
+// The comparison viewer outlives compare mode, so whether it is on screen is tracked separately
+function isCompareActive() {
+    return compareViewer !== null && (compareStageIndex !== -1 || isCompareLoading);
+}
+
+function getDrivingViewer() {
+    if (isCompareActive() && compareDriver === 'secondary') return compareViewer;
+    return viewer;
+}
+
+function syncCompareCameras() {
+    if (!isCompareActive() || !compareViewer.camera || !compareViewer.controls) return;
+    if (!viewer || !viewer.camera || !viewer.controls) return;
+
+    const source = getDrivingViewer();
+    const follower = source === viewer ? compareViewer : viewer;
+    follower.camera.position.copy(source.camera.position);
+    follower.controls.target.copy(source.controls.target);
+    follower.controls.update();
+}
+
+// Stage shown next to the current one, either split-screen or behind the swipe divider
+function getSecondaryStageIndex() {
+    if (compareStageIndex !== -1) return compareStageIndex;
+    if (changeStageIndex !== -1) return changeStageIndex;
+    return swipeStageIndex;
+}
+
+function updateCompareBar() {
+    const compareBar = document.getElementById('compare-bar');
+    if (!compareBar) return;
+    const secondaryIndex = getSecondaryStageIndex();
+    compareBar.classList.toggle('hidden', secondaryIndex === -1);
+    if (secondaryIndex === -1) return;
+
+    const leftStage = constructionStages[currentStageIndex];
+    const rightStage = constructionStages[secondaryIndex];
+    document.getElementById('compare-left-label').textContent = leftStage ? leftStage.title : '';
+    document.getElementById('compare-right-label').textContent = rightStage ? rightStage.title : '';
+}
+
+function initializeCompareControls() {
+    const exitButton = document.getElementById('exit-compare-button');
+    if (exitButton) {
+        exitButton.addEventListener('click', () => {
+            if (swipeStageIndex !== -1) {
+                exitSwipeMode();
+            } else if (changeStageIndex !== -1) {
+                exitChangeMode();
+            } else {
+                exitCompareMode();
+            }
+        });
     }
+}
 
-    // Immediately close construction stages menu if it's open
-    const mobileMenu = document.getElementById('mobile-menu');
-    if (mobileMenu && mobileMenu.classList.contains('show')) {
-        console.log('Construction stages menu is already open, closing it immediately');
-        mobileMenu.classList.remove('show');
+function getCurrentView() {
+    if (!viewer || !viewer.camera || !viewer.controls) return {};
+    return {
+        cameraPosition: viewer.camera.position.toArray(),
+        cameraLookAt: viewer.controls.target.toArray()
+    };
+}
+
+// Reloads the current stage together with a second one; a divider reveals one on each side
+function enterSwipeMode(index) {
+    if (isLoading || isCompareLoading || currentStageIndex === -1) return;
+    if (compareStageIndex !== -1) exitCompareMode();
+    changeStageIndex = -1;
+    swipeStageIndex = index;
+    swipePosition = 0.5;
+    updateSwipeDivider();
+    return loadStage(currentStageIndex, getCurrentView());
+}
+
+function exitSwipeMode() {
+    if (isLoading || swipeStageIndex === -1) return;
+    swipeStageIndex = -1;
+    return loadStage(currentStageIndex, getCurrentView());
+}
+
+// Fraction of the canvas, from the left, that shows the first of two swipe scenes. The alignment tool can
+// show either scene on its own, or null for both on top of each other.
+function getSwipeSplit() {
+    if (isAlignmentActive()) {
+        if (alignmentView === 'moving') return 1;
+        if (alignmentView === 'reference') return 0;
+        if (alignmentView === 'overlay') return null;
     }
-    
-    // Check if click is in the button area (top-right corner)
-    const rect = viewerContainer.getBoundingClientRect();
-    const clickX = event.clientX - rect.left;
-    const clickY = event.clientY - rect.top;
-    
-    // If click is in the top-right area where buttons are, don't process annotation click
-    if (clickX > rect.width - 150 && clickY < 80) {
-        console.log('Click in button area, ignoring annotation click');
-        return;
+    return swipePosition;
+}
+
+// Renders the part of the canvas left of the divider with the first scene and the rest with the second one
+function installSwipeRender(targetViewer) {
+    const baseRender = targetViewer.render;
+    const renderSize = new THREE.Vector2();
+
+    targetViewer.render = function() {
+        const splatMesh = this.splatMesh;
+        const split = getSwipeSplit();
+        if (swipeStageIndex === -1 || !this.renderer || !splatMesh || splatMesh.scenes.length < 2 || split === null) {
+            baseRender.call(this);
+            return;
+        }
+
+        this.renderer.getSize(renderSize);
+        const dividerX = Math.round(renderSize.x * split);
+        const sides = [[0, dividerX], [dividerX, renderSize.x - dividerX]];
+
+        this.renderer.setScissorTest(true);
+        sides.forEach(([x, width], sceneIndex) => {
+            if (width <= 0) return;
+            setVisibleScene(splatMesh, sceneIndex);
+            this.renderer.setScissor(x, 0, width, renderSize.y);
+            baseRender.call(this);
+        });
+        this.renderer.setScissorTest(false);
+        setVisibleScene(splatMesh, -1);
+    };
+}
+
+// Change highlighting: the current stage and another one share the viewer. The newer scan is coloured by how
+// far each splat is from anything in the older one, and the older scan is cut down to what has gone since.
+function enterChangeMode(index) {
+    if (isLoading || isCompareLoading || currentStageIndex === -1 || index === currentStageIndex) return;
+    if (compareStageIndex !== -1) exitCompareMode();
+    swipeStageIndex = -1;
+    changeStageIndex = index;
+    return loadStage(currentStageIndex, getCurrentView());
+}
+
+async function exitChangeMode() {
+    if (isLoading || changeStageIndex === -1) return;
+    changeStageIndex = -1;
+    await loadStage(currentStageIndex, getCurrentView());
+    restoreSphericalHarmonicsDegree();
+}
+
+function initializeChangeControls() {
+    const slider = document.getElementById('change-threshold');
+    if (!slider) return;
+    slider.min = CHANGE_MIN_METRES;
+    slider.max = CHANGE_MAX_METRES;
+    slider.value = changeThresholdMetres;
+    slider.addEventListener('input', throttle(() => {
+        changeThresholdMetres = parseFloat(slider.value);
+        applyChangeColors();
+        updateChangePanel();
+    }, 100));
+
+    const removedToggle = document.getElementById('change-show-removed');
+    removedToggle.checked = showRemovedSplats;
+    removedToggle.addEventListener('change', () => {
+        showRemovedSplats = removedToggle.checked;
+        applyChangeColors();
+    });
+}
+
+function updateChangePanel() {
+    const panel = document.getElementById('change-panel');
+    if (!panel) return;
+    const active = changeStageIndex !== -1 && changeAnalysis !== null;
+    panel.classList.toggle('hidden', !active);
+    if (!active) return;
+
+    const { unitsPerMetre } = changeAnalysis;
+    const threshold = formatLength(changeThresholdMetres * unitsPerMetre);
+    document.getElementById('change-threshold-label').textContent = threshold;
+    document.getElementById('change-legend-min').textContent = threshold;
+    document.getElementById('change-legend-max').textContent = `${formatLength(CHANGE_MAX_METRES * unitsPerMetre)}+`;
+}
+
+// Gives the viewer back the degree the heatmap switched off, capped at what the scenes now on screen carry
+function restoreSphericalHarmonicsDegree() {
+    if (changeSavedSphericalHarmonicsDegree === null || !viewer || !viewer.splatMesh) return;
+    viewer.setActiveSphericalHarmonicsDegrees(Math.min(changeSavedSphericalHarmonicsDegree, viewer.splatMesh.minSphericalHarmonicsDegree));
+    changeSavedSphericalHarmonicsDegree = null;
+}
+
+// Distances between the two stages' splat centres in the site frame, both ways, with each scan's own colours.
+// `stageIndexes` are [current, other] in the viewer's scene order. The result is kept for the next reload.
+async function measureStageChanges(stageIndexes, splatBuffers, isCurrent) {
+    const stages = stageIndexes.map(index => constructionStages[index]);
+    const unitsPerMetre = stages[0].unitsPerMetre > 0 ? stages[0].unitsPerMetre : 1;
+    const key = stages.map(stage => `${stage.splatUrl}|${getStageTransform(stage).matrix.toArray().join(',')}`).join('|') + `|${unitsPerMetre}`;
+    if (changeAnalysis && changeAnalysis.key === key) return changeAnalysis;
+
+    const loaderLabel = document.getElementById('loader-progress');
+    const centers = stages.map((stage, i) => {
+        const { matrix, isIdentity } = getStageTransform(stage);
+        const sceneCenters = new Float32Array(splatBuffers[i].getSplatCount() * 3);
+        splatBuffers[i].fillSplatCenterArray(sceneCenters, isIdentity ? undefined : matrix);
+        return sceneCenters;
+    });
+    const distances = [];
+    for (let i = 0; i < 2; i++) {
+        const sceneDistances = await measureNearestDistances(centers[i], centers[1 - i],
+            CHANGE_MIN_METRES * unitsPerMetre, CHANGE_MAX_METRES * unitsPerMetre, (fraction) => {
+                if (isCurrent() && loaderLabel) loaderLabel.textContent = `Comparing ${Math.floor((i + fraction) * 50)}%`;
+            }, isCurrent);
+        if (!sceneDistances) return null;
+        distances.push(sceneDistances);
+    }
+    const colors = stages.map((stage, i) => {
+        const sceneColors = new Uint8Array(splatBuffers[i].getSplatCount() * 4);
+        splatBuffers[i].fillSplatColorArray(sceneColors, getSceneSource(stage.splatUrl).splatAlphaRemovalThreshold);
+        return sceneColors;
+    });
+
+    const order = getTimelineOrder();
+    const newerScene = order.indexOf(stageIndexes[0]) > order.indexOf(stageIndexes[1]) ? 0 : 1;
+    changeAnalysis = { key, distances, colors, newerScene, unitsPerMetre };
+    return changeAnalysis;
+}
+
+// Distance from every point in `fromCenters` to the nearest one in `toCenters`, capped at `maxDistance`.
+// Anything under `minDistance` only needs to be known as close, so the search stops there.
+async function measureNearestDistances(fromCenters, toCenters, minDistance, maxDistance, onProgress, isCurrent) {
+    const grid = buildSpatialHash(toCenters, maxDistance / 4);
+    const count = fromCenters.length / 3;
+    const distances = new Float32Array(count);
+    const chunkSize = 20000;
+    for (let start = 0; start < count; start += chunkSize) {
+        const end = Math.min(start + chunkSize, count);
+        for (let i = start; i < end; i++) {
+            distances[i] = findNearestDistance(grid, fromCenters[i * 3], fromCenters[i * 3 + 1], fromCenters[i * 3 + 2], minDistance, maxDistance);
+        }
+        onProgress(end / count);
+        // Large scans take a while; yielding keeps the loader drawing and lets a newer load take over
+        await new Promise(resolve => setTimeout(resolve));
+        if (!isCurrent()) return null;
+    }
+    return distances;
+}
+
+// Points bucketed by grid cell. Cells are hashed into a table about the size of the point count, so a
+// bucket can hold more than one cell; the search measures real distances, which makes that harmless.
+function buildSpatialHash(centers, cellSize) {
+    const count = centers.length / 3;
+    let tableSize = 1;
+    while (tableSize < count) tableSize *= 2;
+    const mask = tableSize - 1;
+
+    const cells = new Uint32Array(count);
+    const starts = new Uint32Array(tableSize + 1);
+    for (let i = 0; i < count; i++) {
+        const cell = hashCell(Math.floor(centers[i * 3] / cellSize), Math.floor(centers[i * 3 + 1] / cellSize),
+            Math.floor(centers[i * 3 + 2] / cellSize), mask);
+        cells[i] = cell;
+        starts[cell + 1]++;
+    }
+    for (let cell = 0; cell < tableSize; cell++) starts[cell + 1] += starts[cell];
+
+    const next = starts.slice(0, tableSize);
+    const order = new Uint32Array(count);
+    for (let i = 0; i < count; i++) order[next[cells[i]]++] = i;
+    return { centers, cellSize, mask, starts, order };
+}
+
+function hashCell(x, y, z, mask) {
+    return ((Math.imul(x, 73856093) ^ Math.imul(y, 19349663) ^ Math.imul(z, 83492791)) >>> 0) & mask;
+}
+
+// Searches shells of cells outwards from the point's own cell, stopping once no unvisited cell can be closer
+function findNearestDistance(grid, x, y, z, minDistance, maxDistance) {
+    const { centers, cellSize, mask, starts, order } = grid;
+    const cellX = Math.floor(x / cellSize);
+    const cellY = Math.floor(y / cellSize);
+    const cellZ = Math.floor(z / cellSize);
+    const maxRing = Math.ceil(maxDistance / cellSize);
+    const closeEnough = minDistance * minDistance;
+    let best = maxDistance * maxDistance;
+
+    for (let ring = 0; ring <= maxRing; ring++) {
+        for (let dx = -ring; dx <= ring; dx++) {
+            for (let dy = -ring; dy <= ring; dy++) {
+                // Inside the shell only its two faces along z are new
+                const dzStep = Math.abs(dx) === ring || Math.abs(dy) === ring ? 1 : 2 * ring;
+                for (let dz = -ring; dz <= ring; dz += dzStep) {
+                    const cell = hashCell(cellX + dx, cellY + dy, cellZ + dz, mask);
+                    for (let k = starts[cell]; k < starts[cell + 1]; k++) {
+                        const p = order[k] * 3;
+                        const ex = centers[p] - x;
+                        const ey = centers[p + 1] - y;
+                        const ez = centers[p + 2] - z;
+                        const distanceSq = ex * ex + ey * ey + ez * ez;
+                        if (distanceSq < best) {
+                            best = distanceSq;
+                            if (best <= closeEnough) return Math.sqrt(best);
+                        }
+                    }
+                }
+            }
+        }
+        if (best <= ring * cellSize * ring * cellSize) break;
+    }
+    return Math.sqrt(best);
+}
+
+// Rewrites the colours of the two scenes on screen for the current threshold: the newer scan grey where
+// nothing changed and yellow to red with distance where something was added, the older one blue where
+// something was removed. The viewer keeps its decoded splat data, so this is a texture upload, not a rebuild.
+function applyChangeColors() {
+    if (!changeAnalysis || changeStageIndex === -1 || !viewer || !viewer.splatMesh || viewer.getSceneCount() !== 2) return;
+    const { distances, colors, newerScene, unitsPerMetre } = changeAnalysis;
+    const threshold = changeThresholdMetres * unitsPerMetre;
+    const maxDistance = CHANGE_MAX_METRES * unitsPerMetre;
+    // The heatmap is written straight into the splat mesh's colour data (its private baseData, kept by the
+    // bundled libs/gaussian-splats-3d.module.js) and assumes the mesh holds scene 0's splats, then scene 1's.
+    // Anything else, such as a library update that reorders them, would colour across the scene boundary.
+    if (viewer.splatMesh.getSplatCount() !== distances[0].length + distances[1].length) {
+        console.warn('Splat mesh layout does not match the change analysis; showing the scans uncoloured.');
+        for (let scene = 0; scene < 2; scene++) viewer.getSplatScene(scene).opacity = 1;
+        document.getElementById('change-summary').textContent = `Couldn't highlight the changes.`;
+        return;
+    }
+    const meshColors = viewer.splatMesh.splatDataTextures.baseData.colors;
+    let added = 0;
+    let removed = 0;
+    let offset = 0;
+
+    for (let scene = 0; scene < 2; scene++) {
+        const sceneDistances = distances[scene];
+        const sceneColors = colors[scene];
+        for (let i = 0; i < sceneDistances.length; i++) {
+            const source = i * 4;
+            const target = (offset + i) * 4;
+            const alpha = sceneColors[source + 3];
+            const changed = sceneDistances[i] >= threshold;
+            if (scene === newerScene && !changed) {
+                const grey = 90 + 0.4 * (0.3 * sceneColors[source] + 0.59 * sceneColors[source + 1] + 0.11 * sceneColors[source + 2]);
+                meshColors[target] = meshColors[target + 1] = meshColors[target + 2] = grey;
+                meshColors[target + 3] = alpha;
+            } else if (scene === newerScene) {
+                const t = Math.min((sceneDistances[i] - threshold) / Math.max(maxDistance - threshold, 1e-6), 1);
+                meshColors[target] = 250 - 30 * t;
+                meshColors[target + 1] = 204 - 166 * t;
+                meshColors[target + 2] = 21 + 17 * t;
+                meshColors[target + 3] = alpha;
+                if (alpha > 0) added++;
+            } else {
+                meshColors[target] = 59;
+                meshColors[target + 1] = 130;
+                meshColors[target + 2] = 246;
+                meshColors[target + 3] = changed && showRemovedSplats ? alpha : 0;
+                if (changed && alpha > 0) removed++;
+            }
+        }
+        offset += sceneDistances.length;
+    }
+    viewer.splatMesh.updateDataTexturesFromBaseData(0, offset - 1);
+    // View-dependent colour would tint the heatmap; it is turned back on when change mode ends
+    if (changeSavedSphericalHarmonicsDegree === null) {
+        changeSavedSphericalHarmonicsDegree = viewer.splatMesh.material.uniforms.sphericalHarmonicsDegree.value;
+    }
+    viewer.setActiveSphericalHarmonicsDegrees(0);
+    for (let scene = 0; scene < 2; scene++) viewer.getSplatScene(scene).opacity = 1;
+
+    document.getElementById('change-summary').textContent =
+        `${added.toLocaleString()} splats added, ${removed.toLocaleString()} removed`;
+}
+
+// Scene cache: decoded splat buffers are kept in memory (least recently used first out) within a budget,
+// and the stages either side of the current one are fetched in the background once the page is idle.
+function initializeSceneCache() {
+    const saved = parseFloat(localStorage.getItem('scene-cache-mb'));
+    sceneCacheBudgetMB = isNaN(saved) ? getDefaultCacheBudgetMB() : saved;
+
+    const budgetSelect = document.getElementById('cache-budget');
+    if (!budgetSelect) return;
+    if (!Array.from(budgetSelect.options).some(option => Number(option.value) === sceneCacheBudgetMB)) {
+        budgetSelect.add(new Option(`${sceneCacheBudgetMB} MB`, sceneCacheBudgetMB));
+    }
+    budgetSelect.value = sceneCacheBudgetMB;
+    budgetSelect.addEventListener('change', () => {
+        sceneCacheBudgetMB = Number(budgetSelect.value);
+        localStorage.setItem('scene-cache-mb', sceneCacheBudgetMB);
+        trimSceneCache();
+        if (currentStageIndex !== -1) scheduleNeighbourPrefetch(currentStageIndex);
+    });
+    updateCacheStatus();
+}
+
+// Phones get a small cache; navigator.deviceMemory is in GB and capped at 8 by browsers
+function getDefaultCacheBudgetMB() {
+    if (window.matchMedia('(pointer: coarse)').matches) return 256;
+    const deviceMemory = navigator.deviceMemory || 4;
+    return Math.min(1024, deviceMemory * 128);
+}
+
+function getSplatBufferSize(splatBuffer) {
+    return splatBuffer.bufferData ? splatBuffer.bufferData.byteLength : 0;
+}
+
+function getSceneCacheSize() {
+    let total = 0;
+    splatBufferCache.forEach(splatBuffer => { total += getSplatBufferSize(splatBuffer); });
+    return total;
+}
+
+// Resolves with the decoded scene for a URL, from the cache, an in-flight download or a new download.
+// `onProgress` receives the download percentage; several callers can share one download.
+// `onSection(splatBuffer, finalBuild)` makes a new download progressive and receives each section as it's decoded.
+function getSplatBuffer(url, onProgress, onSection) {
+    if (splatBufferCache.has(url)) {
+        const splatBuffer = splatBufferCache.get(url);
+        splatBufferCache.delete(url); // Re-inserting marks it as most recently used
+        splatBufferCache.set(url, splatBuffer);
+        return Promise.resolve(splatBuffer);
+    }
+
+    let download = pendingSplatDownloads.get(url);
+    if (!download) {
+        const listeners = new Set();
+        const abortablePromise = downloadSplatScene(url, (percent) => {
+            download.percent = percent;
+            listeners.forEach(listener => listener(percent));
+        }, onSection);
+
+        download = { listeners, abortablePromise, percent: 0 };
+        // The AbortablePromise's own then() has no rejection handler, so chain off its inner promise
+        download.promise = abortablePromise.promise
+            .then(splatBuffer => {
+                splatBufferCache.set(url, splatBuffer);
+                splatBufferSizes.set(url, getSplatBufferSize(splatBuffer));
+                return splatBuffer;
+            })
+            .finally(() => {
+                pendingSplatDownloads.delete(url);
+                updateCacheStatus();
+            });
+        pendingSplatDownloads.set(url, download);
+        updateCacheStatus();
+    }
+    if (onProgress) {
+        download.listeners.add(onProgress);
+        onProgress(download.percent);
+    }
+    return download.promise;
+}
+
+// Picks the loader for the scene's format with its stage's decode options. Sections are only
+// reported for formats that can be built while downloading.
+function downloadSplatScene(url, onProgress, onSection) {
+    const { format, splatAlphaRemovalThreshold, sphericalHarmonicsDegree } = getSceneSource(url);
+    const progressive = Boolean(onSection) && GaussianSplats3D.Viewer.isProgressivelyLoadable(format);
+    const optimizeSplatData = !progressive;
+
+    switch (format) {
+        case GaussianSplats3D.SceneFormat.Splat:
+            return GaussianSplats3D.SplatLoader.loadFromURL(url, onProgress, progressive, onSection,
+                splatAlphaRemovalThreshold, 0, optimizeSplatData);
+        case GaussianSplats3D.SceneFormat.KSplat:
+            // .ksplat files are already filtered and compressed when they are written
+            return GaussianSplats3D.KSplatLoader.loadFromURL(url, onProgress, progressive, onSection);
+        case GaussianSplats3D.SceneFormat.Ply:
+            return GaussianSplats3D.PlyLoader.loadFromURL(url, onProgress, progressive, onSection,
+                splatAlphaRemovalThreshold, 0, optimizeSplatData, sphericalHarmonicsDegree);
+        case GaussianSplats3D.SceneFormat.Spz:
+            return GaussianSplats3D.SpzLoader.loadFromURL(url, onProgress,
+                splatAlphaRemovalThreshold, 0, optimizeSplatData, sphericalHarmonicsDegree);
+        default:
+            throw new Error(`Unsupported scene format for ${url}`);
+    }
+}
+
+// Records how each stage's scan is decoded. "format" in stages.json wins; otherwise the URL's extension
+// decides, and URLs without one (signed links, API endpoints) have their first bytes inspected.
+async function registerSceneSources(stages) {
+    await Promise.all(stages.map(async (stage) => {
+        let format = SCENE_FORMATS[String(stage.format).toLowerCase()];
+        if (stage.format && format === undefined) {
+            console.warn(`Unknown format "${stage.format}" for ${stage.splatUrl}`);
+        }
+        if (format === undefined) format = getSceneFormatFromUrl(stage.splatUrl) ?? await sniffSceneFormat(stage.splatUrl);
+
+        sceneSources.set(stage.splatUrl, {
+            format,
+            splatAlphaRemovalThreshold: stage.splatAlphaRemovalThreshold ?? 1,
+            sphericalHarmonicsDegree: Math.min(Math.max(stage.sphericalHarmonicsDegree ?? 0, 0), 2)
+        });
+    }));
+}
+
+function getSceneSource(url) {
+    return sceneSources.get(url) || {
+        format: getSceneFormatFromUrl(url),
+        splatAlphaRemovalThreshold: 1,
+        sphericalHarmonicsDegree: 0
+    };
+}
+
+// Query strings and fragments would hide the extension
+function getSceneFormatFromUrl(url) {
+    return GaussianSplats3D.LoaderUtils.sceneFormatFromPath(new URL(url, location.href).pathname.toLowerCase());
+}
+
+// .ply files start with a text header and .spz files are gzip streams; .splat has no signature,
+// so anything else is treated as one
+async function sniffSceneFormat(url) {
+    try {
+        const response = await fetch(url, { headers: { 'Range': 'bytes=0-3' } });
+        const bytes = new Uint8Array(await response.arrayBuffer()).subarray(0, 4);
+        if (String.fromCharCode(...bytes.subarray(0, 3)) === 'ply') return GaussianSplats3D.SceneFormat.Ply;
+        if (bytes[0] === 0x1f && bytes[1] === 0x8b) return GaussianSplats3D.SceneFormat.Spz;
+    } catch (error) {
+        console.warn(`Couldn't detect the format of ${url}:`, error);
+    }
+    return GaussianSplats3D.SceneFormat.Splat;
+}
+
+function getStageSceneOptions(stage) {
+    const { position, quaternion, scale } = getStageTransform(stage);
+    return {
+        'position': position.toArray(),
+        'rotation': quaternion.toArray(),
+        'scale': scale.toArray(),
+        'splatAlphaRemovalThreshold': getSceneSource(stage.splatUrl).splatAlphaRemovalThreshold
+    };
+}
+
+// Where a stage's scan sits in the site's coordinate system, from "position", "rotation" and "scale" in
+// stages.json. "rotation" is a quaternion [x, y, z, w] or Euler angles [x, y, z] in degrees, applied in
+// "rotationOrder" (XYZ by default); "scale" is a number or one factor per axis.
+function getStageTransform(stage = {}) {
+    const position = new THREE.Vector3().fromArray(stage.position || [0, 0, 0]);
+    const quaternion = new THREE.Quaternion();
+    if (Array.isArray(stage.rotation) && stage.rotation.length === 4) {
+        quaternion.fromArray(stage.rotation).normalize();
+    } else if (Array.isArray(stage.rotation) && stage.rotation.length === 3) {
+        const [x, y, z] = stage.rotation.map(THREE.MathUtils.degToRad);
+        quaternion.setFromEuler(new THREE.Euler(x, y, z, stage.rotationOrder || 'XYZ'));
+    }
+    const scale = typeof stage.scale === 'number'
+        ? new THREE.Vector3(stage.scale, stage.scale, stage.scale)
+        : new THREE.Vector3().fromArray(stage.scale || [1, 1, 1]);
+
+    const matrix = new THREE.Matrix4().compose(position, quaternion, scale);
+    return { position, quaternion, scale, matrix, isIdentity: matrix.equals(new THREE.Matrix4()) };
+}
+
+// Annotation files are written in their scan's own coordinates. The page works with them in site
+// coordinates, so they're moved by the stage's transform on the way in and back on the way out.
+// Values keep full precision here; they are only rounded when a file is written.
+function transformAnnotations(annotations, matrix) {
+    const normalMatrix = new THREE.Matrix3().getNormalMatrix(matrix);
+    const point = (values) => new THREE.Vector3().fromArray(values).applyMatrix4(matrix).toArray();
+
+    return annotations.map(annotation => {
+        const moved = { ...annotation };
+        if (annotation.pos) moved.pos = point(annotation.pos);
+        if (annotation.normal) {
+            moved.normal = new THREE.Vector3().fromArray(annotation.normal).applyMatrix3(normalMatrix).normalize().toArray();
+        }
+        if (annotation.cameraPos) moved.cameraPos = point(annotation.cameraPos);
+        if (annotation.cameraLookAt) moved.cameraLookAt = point(annotation.cameraLookAt);
+        if (Array.isArray(annotation.cameraPath)) {
+            moved.cameraPath = annotation.cameraPath.map(keyframe => ({
+                ...keyframe,
+                position: point(keyframe.position),
+                target: point(keyframe.target)
+            }));
+        }
+        return moved;
+    });
+}
+
+function annotationsToSiteFrame(annotations, stage) {
+    const { matrix, isIdentity } = getStageTransform(stage);
+    return isIdentity ? annotations : transformAnnotations(annotations, matrix);
+}
+
+function annotationsToScanFrame(annotations, stage) {
+    const { matrix, isIdentity } = getStageTransform(stage);
+    return isIdentity ? annotations : transformAnnotations(annotations, matrix.invert());
+}
+
+function abortSplatDownload(url) {
+    const download = pendingSplatDownloads.get(url);
+    if (download) download.abortablePromise.abort('Superseded by another stage');
+}
+
+// Scenes on screen are never evicted; they are held by the viewers anyway
+function getDisplayedSplatUrls() {
+    return [currentStageIndex, swipeStageIndex, compareStageIndex, changeStageIndex]
+        .filter(index => index !== -1 && constructionStages[index])
+        .map(index => constructionStages[index].splatUrl);
+}
+
+function trimSceneCache() {
+    const budgetBytes = sceneCacheBudgetMB * 1024 * 1024;
+    const displayed = getDisplayedSplatUrls();
+    for (const url of Array.from(splatBufferCache.keys())) {
+        if (getSceneCacheSize() <= budgetBytes) break;
+        if (!displayed.includes(url)) splatBufferCache.delete(url);
+    }
+    updateCacheStatus();
+}
+
+function scheduleNeighbourPrefetch(stageIndex) {
+    clearTimeout(prefetchTimer);
+    if (sceneCacheBudgetMB <= 0) return;
+
+    // Wait for the page to settle so prefetching doesn't compete with the stage that was just shown
+    prefetchTimer = setTimeout(() => {
+        const idle = window.requestIdleCallback || (callback => setTimeout(callback, 0));
+        idle(() => prefetchNeighbours(stageIndex));
+    }, 2000);
+}
+
+async function prefetchNeighbours(stageIndex) {
+    const neighbours = [stageIndex + 1, stageIndex - 1].filter(index => index >= 0 && index < constructionStages.length);
+    for (const index of neighbours) {
+        // Give up if the user has moved on; the new stage schedules its own prefetch
+        if (currentStageIndex !== stageIndex) return;
+        const stage = constructionStages[index];
+        if (stage.annotationsUrl) fetchAnnotations(stage.annotationsUrl).catch(() => {});
+        if (splatBufferCache.has(stage.splatUrl)) continue;
+        try {
+            // A scene that can't fit next to the ones on screen would be evicted as soon as it arrived
+            const size = await getExpectedSceneSize(stage.splatUrl);
+            if (size > getSceneCacheRoom()) continue;
+            await getSplatBuffer(stage.splatUrl);
+            trimSceneCache();
+        } catch (error) {
+            console.warn(`Prefetch of ${stage.splatUrl} failed:`, error);
+        }
+    }
+}
+
+// The decoded size from an earlier load, or else the download size the server reports; 0 when unknown
+async function getExpectedSceneSize(url) {
+    if (splatBufferSizes.has(url)) return splatBufferSizes.get(url);
+    try {
+        const response = await fetch(url, { method: 'HEAD' });
+        return response.ok ? Number(response.headers.get('Content-Length')) || 0 : 0;
+    } catch (error) {
+        return 0;
     }
+}
+
+// Bytes of the budget not taken by the scenes on screen, which trimSceneCache() never evicts
+function getSceneCacheRoom() {
+    const displayed = getDisplayedSplatUrls();
+    let room = sceneCacheBudgetMB * 1024 * 1024;
+    splatBufferCache.forEach((splatBuffer, url) => {
+        if (displayed.includes(url)) room -= getSplatBufferSize(splatBuffer);
+    });
+    return room;
+}
+
+// Annotations are small, so every file fetched stays cached; callers get their own copy to edit
+async function fetchAnnotations(url) {
+    if (!annotationsCache.has(url)) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        annotationsCache.set(url, await response.json());
+    }
+    return structuredClone(annotationsCache.get(url));
+}
+
+function updateCacheStatus() {
+    const status = document.getElementById('cache-status');
+    if (!status) return;
+    const megabytes = Math.round(getSceneCacheSize() / (1024 * 1024));
+    const downloading = pendingSplatDownloads.size > 0 ? `, ${pendingSplatDownloads.size} downloading` : '';
+    status.textContent = `${splatBufferCache.size} scene${splatBufferCache.size === 1 ? '' : 's'}, ${megabytes} MB${downloading}`;
+}
+
+function createViewer(cameraPosition, cameraLookAt) {
+    const newViewer = new GaussianSplats3D.Viewer({
+        'rootElement': viewerCanvasHost,
+        'cameraUp': [0, -1, 0],
+        'initialCameraPosition': cameraPosition,
+        'initialCameraLookAt': cameraLookAt,
+        'threeScene': threeScene,
+        // Per-scene visibility is what lets each swipe stage show on its own side of the divider
+        'enableOptionalEffects': true,
+        // The mesh renders whichever degree its scenes carry, up to this
+        'sphericalHarmonicsDegree': 2,
+        'sharedMemoryForWorkers': false,
+        'workerUrl': './libs/gaussian-splats-3d.worker.js'
+    });
+    installSwipeRender(newViewer);
+    installOverlayRender(newViewer);
+    newViewer.start();
+    defaultCameraFov = newViewer.camera.fov;
+    return newViewer;
+}
+
+// Shows a scene on the main viewer section by section while it downloads. `firstSection` resolves once
+// something is on screen, `done` once the whole scene is; sections arriving mid-build only keep the newest.
+function streamSplatScene(url, sceneOptions, isCurrent, onProgress) {
+    let queuedSection = null;
+    let building = Promise.resolve();
+    let resolveFirstSection;
+    const firstSection = new Promise(resolve => { resolveFirstSection = resolve; });
+
+    const buildQueuedSection = () => {
+        if (!queuedSection || !isCurrent()) return;
+        const { splatBuffer, finalBuild } = queuedSection;
+        queuedSection = null;
+        return viewer.addSplatBuffers([splatBuffer], [sceneOptions], finalBuild, false, false, true, true).then(resolveFirstSection);
+    };
+
+    const download = getSplatBuffer(url, onProgress, (splatBuffer, finalBuild) => {
+        queuedSection = { splatBuffer, finalBuild };
+        building = building.then(buildQueuedSection);
+    });
+
+    return {
+        // A failed or tiny download may never produce a section of its own
+        firstSection: Promise.race([firstSection, download]),
+        done: download.then(splatBuffer => building.then(() => splatBuffer))
+    };
+}
+
+// Removes every splat scene from a viewer, leaving the viewer itself ready for the next ones
+async function clearViewerScenes(targetViewer) {
+    const sceneCount = targetViewer.getSceneCount();
+    if (sceneCount === 0) return;
+    await targetViewer.removeSplatScenes([...Array(sceneCount).keys()], false);
+}
+
+function setViewerCamera(targetViewer, position, lookAt) {
+    targetViewer.camera.position.fromArray(position);
+    targetViewer.controls.target.fromArray(lookAt);
+    targetViewer.camera.lookAt(targetViewer.controls.target);
+    targetViewer.controls.update();
+}
+
+// Draws overlayScene on top of everything the viewer rendered
+function installOverlayRender(targetViewer) {
+    const baseRender = targetViewer.render;
+
+    targetViewer.render = function() {
+        baseRender.call(this);
+        if (!this.initialized || !this.splatRenderReady || this.isDisposingOrDisposed()) return;
+        if (overlayScene.children.length > 0) {
+            const savedAutoClear = this.renderer.autoClear;
+            this.renderer.autoClear = false;
+            this.renderer.render(overlayScene, this.camera);
+            this.renderer.autoClear = savedAutoClear;
+        }
+        // The drawing buffer is only guaranteed to be intact right after rendering, so frame grabbers hook in here
+        if (renderedFrameListener) renderedFrameListener(this.renderer.domElement);
+    };
+}
+
+// Shows only one scene of a multi-scene splat mesh, or all of them for -1
+function setVisibleScene(splatMesh, visibleIndex) {
+    const visibility = splatMesh.material.uniforms.sceneVisibility.value;
+    splatMesh.scenes.forEach((scene, i) => {
+        scene.visible = visibleIndex === -1 || i === visibleIndex;
+        visibility[i] = scene.visible ? 1 : 0;
+    });
+    splatMesh.material.uniformsNeedUpdate = true;
+}
+
+function updateSwipeDivider() {
+    const divider = document.getElementById('swipe-divider');
+    if (divider) divider.style.left = `${swipePosition * 100}%`;
+}
+
+function initializeSwipeDivider() {
+    const divider = document.getElementById('swipe-divider');
+    if (!divider) return;
+
+    divider.addEventListener('pointerdown', (e) => {
+        isDraggingSwipeDivider = true;
+        divider.setPointerCapture(e.pointerId);
+        e.stopPropagation();
+    });
+    divider.addEventListener('pointermove', (e) => {
+        if (!isDraggingSwipeDivider) return;
+        const rect = getViewportRect();
+        swipePosition = THREE.MathUtils.clamp((e.clientX - rect.left) / rect.width, 0.02, 0.98);
+        updateSwipeDivider();
+    });
+    const stopDragging = (e) => {
+        isDraggingSwipeDivider = false;
+        if (divider.hasPointerCapture(e.pointerId)) divider.releasePointerCapture(e.pointerId);
+    };
+    divider.addEventListener('pointerup', stopDragging);
+    divider.addEventListener('pointercancel', stopDragging);
+    updateSwipeDivider();
+}
+
+async function addAnnotations(stageIndex) {
+    // Clear previous annotations
+    while(threeScene.children.length > 0){ 
+        threeScene.remove(threeScene.children[0]); 
+    }
+    currentAnnotations = [];
+
+    const stage = constructionStages[stageIndex];
+
+    // Unsaved edits from the annotation editor win over the file
+    let stageAnnotations = [];
+    if (annotationDrafts[stageIndex]) {
+        stageAnnotations = annotationDrafts[stageIndex];
+    } else {
+        if (!stage.annotationsUrl) {
+            populateAnnotationsMenu([]);
+            refreshAnnotationEditor();
+            return;
+        }
+        try {
+            stageAnnotations = annotationsToSiteFrame(await fetchAnnotations(stage.annotationsUrl), stage);
+        } catch (error) {
+            console.error(`Failed to load annotations from ${stage.annotationsUrl}:`, error);
+            return; // Don't proceed if annotations fail to load
+        }
+    }
+
+    renderAnnotationMarkers(stageAnnotations);
     
-    // Check if this is a dot click
-    if (movableDot && movableDot.visible) {
-        const mouseX = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-        const mouseY = -((event.clientY - rect.top) / rect.height) * 2 + 1;
-        
-        raycaster.setFromCamera(new THREE.Vector2(mouseX, mouseY), viewer.camera);
-        const dotIntersects = raycaster.intersectObject(movableDot);
-        
-        if (dotIntersects.length > 0) {
-            console.log('Dot click detected, ignoring annotation click');
-            return; // This is a dot click, not an annotation click
+    // Populate the annotations menu
+    populateAnnotationsMenu(stageAnnotations);
+    refreshAnnotationEditor();
+}
+
+function createAnnotationMarker(annoData) {
+    // Outline (a thin ring)
+    // Smaller ring for annotation outline
+    const outlineGeometry = new THREE.RingGeometry(0.07, 0.08, 32);
+    // Softer outline color (light slate)
+    const outlineMaterial = new THREE.MeshBasicMaterial({ color: 0xbbbbbb, side: THREE.DoubleSide });
+    const outline = new THREE.Mesh(outlineGeometry, outlineMaterial);
+
+    // Fill (a circle that fits inside the ring)
+    // Smaller fill circle
+    const fillGeometry = new THREE.CircleGeometry(0.07, 32);
+    // Subtle fill accent color (sky blue)
+    const fillMaterial = new THREE.MeshBasicMaterial({ color: 0x3b82f6, transparent: true, opacity: 0.01, side: THREE.DoubleSide });
+    const fill = new THREE.Mesh(fillGeometry, fillMaterial);
+    fill.userData.isFill = true; // For easy identification
+
+    const group = new THREE.Group();
+    group.add(outline);
+    group.add(fill);
+
+    group.position.set(annoData.pos[0], annoData.pos[1], annoData.pos[2]);
+    group.userData = {
+        title: annoData.title,
+        description: annoData.desc,
+        // Surface normal captured when the annotation was placed on the scan, for orienting markers
+        normal: annoData.normal ? new THREE.Vector3(...annoData.normal).normalize() : null,
+        targetScale: 1.0,
+        targetOpacity: 0.01
+    };
+    return group;
+}
+
+// Replaces only the annotation markers; the movable dot and other helpers stay in the scene
+function renderAnnotationMarkers(annotations) {
+    currentAnnotations.forEach(group => threeScene.remove(group));
+    hoveredAnnotation = null;
+    currentAnnotations = annotations.map(annoData => {
+        const group = createAnnotationMarker(annoData);
+        threeScene.add(group);
+        return group;
+    });
+}
+
+                                function onAnnotationHover(event) {
+    const rect = getViewportRect();
+
+    // Final fix: Check if the mouse is actually inside the viewer container.
+    // This prevents hover logic from running when the cursor re-enters from another element,
+    // which was the true root cause of the WebGL context errors.
+    if (!isInsideRect(event, rect)) {
+        // If outside, but an annotation was previously hovered, un-hover it.
+        if (hoveredAnnotation) {
+            hoveredAnnotation.scale.set(1, 1, 1);
+            const oldFill = hoveredAnnotation.children.find(c => c.userData.isFill);
+            if(oldFill) oldFill.material.opacity = 0.01;
+            hoveredAnnotation = null;
+        }
+        return;
+    }
+
+    if (!viewer || !viewer.camera) return;
+
+    mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+
+    raycaster.setFromCamera(mouse, viewer.camera);
+
+    const intersects = raycaster.intersectObjects(currentAnnotations, true);
+    const intersectedGroup = (intersects.length > 0) ? intersects[0].object.parent : null;
+
+    // Handle un-hovering
+    if (hoveredAnnotation && hoveredAnnotation !== intersectedGroup) {
+        hoveredAnnotation.userData.targetScale = 1.0;
+        hoveredAnnotation.userData.targetOpacity = 0.01;
+        hoveredAnnotation = null;
+    }
+
+    // Handle new hover
+    if (intersectedGroup && hoveredAnnotation !== intersectedGroup) {
+        hoveredAnnotation = intersectedGroup;
+        hoveredAnnotation.userData.targetScale = 1.5;
+        hoveredAnnotation.userData.targetOpacity = 0.8;
+    }
+}
+
+        function onAnnotationPointerDown(event) {
+    if (!viewer || !viewer.camera) return;
+    
+    console.log('Annotation pointer down event triggered');
+    
+    // If click happens within the construction stages mobile menu, allow it to propagate for its own handlers
+    const stagesMenuEl = document.getElementById('mobile-menu');
+    if (stagesMenuEl && stagesMenuEl.contains(event.target)) {
+        // Let the menu handle the click (e.g., stage links)
+        return;
+    }
+
+    // Immediately close construction stages menu if it's open
+    const mobileMenu = document.getElementById('mobile-menu');
+    if (mobileMenu && mobileMenu.classList.contains('show')) {
+        console.log('Construction stages menu is already open, closing it immediately');
+        mobileMenu.classList.remove('show');
+    }
+    
+    // Check if click is in the button area (top-right corner)
+    const rect = viewerContainer.getBoundingClientRect();
+    const clickX = event.clientX - rect.left;
+    const clickY = event.clientY - rect.top;
+    
+    // If click is in the top-right area where buttons are, don't process annotation click
+    if (clickX > rect.width - 150 && clickY < 80) {
+        console.log('Click in button area, ignoring annotation click');
+        return;
+    }
+
+    // Annotations only live in the main viewport, not in the comparison one
+    const viewportRect = getViewportRect();
+    if (!isInsideRect(event, viewportRect)) {
+        return;
+    }
+    
+    // Check if this is a dot click
+    if (movableDot && movableDot.visible) {
+        const mouseX = ((event.clientX - viewportRect.left) / viewportRect.width) * 2 - 1;
+        const mouseY = -((event.clientY - viewportRect.top) / viewportRect.height) * 2 + 1;
+        
+        raycaster.setFromCamera(new THREE.Vector2(mouseX, mouseY), viewer.camera);
+        const dotIntersects = raycaster.intersectObject(movableDot);
+        
+        if (dotIntersects.length > 0) {
+            console.log('Dot click detected, ignoring annotation click');
+            return; // This is a dot click, not an annotation click
+        }
+    }
+    
+    mouse.x = ((event.clientX - viewportRect.left) / viewportRect.width) * 2 - 1;
+    mouse.y = -((event.clientY - viewportRect.top) / viewportRect.height) * 2 + 1;
+
+    raycaster.setFromCamera(mouse, viewer.camera);
+
+    const intersects = raycaster.intersectObjects(currentAnnotations, true);
+
+    if (intersects.length > 0) {
+        console.log('Annotation intersection found:', intersects[0].object.parent.userData.title);
+        
+        const group = intersects[0].object.parent;
+        if (group && group.userData.title) {
+            if (viewer.controls) viewer.controls.enabled = false;
+            
+            // Find the index of the clicked annotation
+            const index = currentAnnotations.indexOf(group);
+            if (index !== -1 && devOverlayVisible) {
+                // In dev mode a marker is picked up for editing and can be dragged right away
+                selectEditorAnnotation(index);
+                beginDotDrag();
+            } else if (index !== -1) {
+                
+                console.log('Opening annotations menu for index:', index);
+                
+                // Open the annotations menu
+                toggleAnnotationsMenu(true);
+                
+                // Highlight the specific annotation (no modal)
+                highlightAnnotation(index, false);
+                
+                // Scroll to the specific annotation in the menu
+                setTimeout(() => {
+                    const annotationItems = annotationsList.querySelectorAll('.p-3.border.rounded-lg');
+                    if (annotationItems[index]) {
+                        const targetItem = annotationItems[index];
+                        const container = annotationsList;
+                        const targetScrollTop = targetItem.offsetTop - container.clientHeight / 2 + targetItem.clientHeight / 2;
+                        container.scrollTo({ top: targetScrollTop, behavior: 'smooth' });
+                    }
+                }, 100);
+            }
+            
+            // Stop event propagation to prevent menu from closing and burger menu from triggering
+            event.preventDefault();
+            event.stopPropagation();
+            event.stopImmediatePropagation();
+            
+            console.log('Event propagation stopped');
+        }
+    } else {
+        console.log('No annotation intersection found');
+    }
+}
+
+function showModal(title, description) {
+    const modal = document.getElementById('annotation-modal');
+    const modalContent = document.getElementById('modal-content');
+    const modalDescription = document.getElementById('modal-description');
+
+    modalContent.querySelector('h3').textContent = title;
+    modalDescription.textContent = description;
+
+    modal.classList.remove('opacity-0');
+    modal.classList.remove('pointer-events-none');
+    modal.classList.add('opacity-100');
+    modal.classList.add('pointer-events-auto');
+
+    const closeModalButton = document.getElementById('close-modal');
+    closeModalButton.addEventListener('click', () => {
+        modal.classList.remove('opacity-100');
+        modal.classList.remove('pointer-events-auto');
+        modal.classList.add('opacity-0');
+        modal.classList.add('pointer-events-none');
+    });
+}
+
+function updateTimelineUI(activeIndex) {
+    const items = document.querySelectorAll('.timeline-item');
+    items.forEach((item, index) => {
+        item.classList.toggle('active', index === activeIndex);
+        item.classList.toggle('compare', index === getSecondaryStageIndex());
+    });
+    const mobileRows = document.querySelectorAll('.mobile-timeline-row');
+    mobileRows.forEach((row, index) => {
+        row.classList.toggle('active', index === activeIndex);
+        row.classList.toggle('compare', index === getSecondaryStageIndex());
+    });
+    positionTimelineScrubber(activeIndex);
+}
+
+// Rectangle of the main viewer's canvas; narrower than the container while comparing side by side
+function getViewportRect() {
+    return viewerCanvasHost.getBoundingClientRect();
+}
+
+function isInsideRect(event, rect) {
+    return event.clientX >= rect.left && event.clientX <= rect.right && event.clientY >= rect.top && event.clientY <= rect.bottom;
+}
+
+function updateCameraCoordinates() {
+    if (viewer && viewer.camera) {
+        const position = viewer.camera.position;
+        const target = viewer.controls ? viewer.controls.target : new THREE.Vector3();
+        
+        const positionElement = document.getElementById('camera-position');
+        const lookatElement = document.getElementById('camera-lookat');
+        
+        if (positionElement && lookatElement) {
+            positionElement.textContent = `[${position.x.toFixed(2)}, ${position.y.toFixed(2)}, ${position.z.toFixed(2)}]`;
+            lookatElement.textContent = `[${target.x.toFixed(2)}, ${target.y.toFixed(2)}, ${target.z.toFixed(2)}]`;
+        }
+    }
+}
+
+function createMovableDot() {
+    // Remove existing dot if it exists
+    if (movableDot) {
+        threeScene.remove(movableDot);
+    }
+    
+    // Create a red sphere for the movable dot
+    const geometry = new THREE.SphereGeometry(0.1, 16, 16);
+    const material = new THREE.MeshBasicMaterial({ color: 0xff0000 });
+    movableDot = new THREE.Mesh(geometry, material);
+    
+    // Set initial position
+    movableDot.position.set(0, 0, 0);
+    // Respect dev visibility
+    movableDot.visible = devOverlayVisible;
+
+    // Child of the dot so it shares its position and dev visibility
+    dotNormalHelper = new THREE.ArrowHelper(new THREE.Vector3(0, -1, 0), new THREE.Vector3(), 0.4, 0x22c55e, 0.1, 0.06);
+    movableDot.add(dotNormalHelper);
+    setDotNormal(null);
+    
+    // Add to scene
+    threeScene.add(movableDot);
+    
+    // Initialize position display
+    dotPositionDisplay = document.getElementById('dot-position-display');
+    updateDotPositionDisplay();
+}
+
+function initializeDotControls() {
+    const dotXInput = document.getElementById('dot-x');
+    const dotYInput = document.getElementById('dot-y');
+    const dotZInput = document.getElementById('dot-z');
+    
+    // Set up event listeners for coordinate inputs
+    dotXInput.addEventListener('input', updateDotPosition);
+    dotYInput.addEventListener('input', updateDotPosition);
+    dotZInput.addEventListener('input', updateDotPosition);
+}
+
+function updateDotPosition() {
+    if (!movableDot) return;
+    
+    const x = parseFloat(document.getElementById('dot-x').value) || 0;
+    const y = parseFloat(document.getElementById('dot-y').value) || 0;
+    const z = parseFloat(document.getElementById('dot-z').value) || 0;
+    
+    movableDot.position.set(x, y, z);
+    // Typed coordinates are not tied to any surface
+    setDotNormal(null);
+    updateDotPositionDisplay();
+    moveEditorAnnotationToDot();
+}
+
+function setDotNormal(normal) {
+    if (!movableDot) return;
+    movableDot.userData.normal = normal ? normal.clone().normalize() : null;
+    if (dotNormalHelper) {
+        dotNormalHelper.visible = !!normal;
+        if (normal) dotNormalHelper.setDirection(movableDot.userData.normal);
+    }
+    const normalDisplay = document.getElementById('dot-normal-display');
+    if (normalDisplay) {
+        normalDisplay.textContent = normal ? `[${normal.x.toFixed(2)}, ${normal.y.toFixed(2)}, ${normal.z.toFixed(2)}]` : '-';
+    }
+}
+
+function updateDotPositionDisplay() {
+    if (!movableDot || !dotPositionDisplay) return;
+    
+    const pos = movableDot.position;
+    dotPositionDisplay.textContent = `[${pos.x.toFixed(2)}, ${pos.y.toFixed(2)}, ${pos.z.toFixed(2)}]`;
+}
+
+function onDotPointerDown(event) {
+    if (!viewer || !viewer.camera || !movableDot) return;
+    
+    const rect = getViewportRect();
+    if (!isInsideRect(event, rect)) return;
+    mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+
+    raycaster.setFromCamera(mouse, viewer.camera);
+    const intersects = raycaster.intersectObject(movableDot);
+
+    if (intersects.length > 0) {
+        beginDotDrag();
+        event.stopImmediatePropagation();
+    }
+}
+
+function beginDotDrag() {
+    isDraggingDot = true;
+    if (viewer.controls) viewer.controls.enabled = false;
+    
+    // Set up drag plane perpendicular to camera view
+    const cameraDirection = new THREE.Vector3();
+    viewer.camera.getWorldDirection(cameraDirection);
+    dragPlane.setFromNormalAndCoplanarPoint(cameraDirection, movableDot.position);
+}
+
+function onDotPointerMove(event) {
+    if (!isDraggingDot || !viewer || !viewer.camera || !movableDot) return;
+    
+    const rect = getViewportRect();
+    mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+
+    raycaster.setFromCamera(mouse, viewer.camera);
+    
+    // Stick to the scanned surface when there is one under the cursor, otherwise slide on the drag plane
+    const surfaceHit = pickSplatSurface(event);
+    if (surfaceHit) {
+        movableDot.position.copy(surfaceHit.point);
+        setDotNormal(surfaceHit.normal);
+    } else if (raycaster.ray.intersectPlane(dragPlane, dragPoint)) {
+        movableDot.position.copy(dragPoint);
+        setDotNormal(null);
+    } else {
+        return;
+    }
+    updateDotPositionDisplay();
+    updateDotInputs();
+    moveEditorAnnotationToDot();
+}
+
+// First splat hit by a ray through the given pixel of the main viewport
+function castSplatRay(x, y, rect) {
+    splatScreenPosition.set(x, y);
+    splatViewportSize.set(rect.width, rect.height);
+    splatHits.length = 0;
+    viewer.raycaster.setFromCameraAndScreenPosition(viewer.camera, splatScreenPosition, splatViewportSize);
+
+    // With two scenes side by side, only the one drawn under the cursor can be hit
+    const split = swipeStageIndex !== -1 && viewer.splatMesh.scenes.length > 1 ? getSwipeSplit() : null;
+    if (split !== null) setVisibleScene(viewer.splatMesh, x < rect.width * split ? 0 : 1);
+    viewer.raycaster.intersectSplatMesh(viewer.splatMesh, splatHits);
+    if (split !== null) setVisibleScene(viewer.splatMesh, -1);
+    return splatHits.length > 0 ? splatHits[0] : null;
+}
+
+// Hit-tests the splats under the cursor. Returns { point, normal } or null when nothing is hit.
+// A single hit's normal only points away from that splat's centre, so the surface normal is taken
+// from the plane through the hit and two neighbouring hits a few pixels away.
+function pickSplatSurface(event) {
+    if (!viewer || !viewer.camera || !viewer.raycaster || !viewer.splatMesh || !viewer.splatMesh.getSplatTree()) return null;
+
+    const rect = getViewportRect();
+    const x = event.clientX - rect.left;
+    const y = event.clientY - rect.top;
+    const hit = castSplatRay(x, y, rect);
+    if (!hit) return null;
+
+    const point = hit.origin.clone();
+    const normal = hit.normal.clone();
+    const offset = 3; // pixels
+    const rightHit = castSplatRay(x + offset, y, rect);
+    const rightPoint = rightHit ? rightHit.origin.clone() : null;
+    const downHit = castSplatRay(x, y + offset, rect);
+    if (rightPoint && downHit) {
+        const maxGap = point.distanceTo(viewer.camera.position) * 0.05; // Neighbours on another surface are useless
+        const toRight = rightPoint.sub(point);
+        const toDown = downHit.origin.clone().sub(point);
+        const surfaceNormal = new THREE.Vector3().crossVectors(toRight, toDown);
+        if (toRight.length() < maxGap && toDown.length() < maxGap && surfaceNormal.lengthSq() > 1e-12) {
+            normal.copy(surfaceNormal);
+        }
+    }
+
+    // Face the camera
+    normal.normalize();
+    if (normal.dot(new THREE.Vector3().subVectors(viewer.camera.position, point)) < 0) {
+        normal.negate();
+    }
+    return { point, normal };
+}
+
+function updateDotInputs() {
+    if (!movableDot) return;
+    
+    const pos = movableDot.position;
+    document.getElementById('dot-x').value = pos.x.toFixed(2);
+    document.getElementById('dot-y').value = pos.y.toFixed(2);
+    document.getElementById('dot-z').value = pos.z.toFixed(2);
+}
+
+// Annotation editor (dev mode): edits currentAnnotationsData in place and exports it in the annotations/stageN.json format
+function initializeAnnotationEditor() {
+    const placeButton = document.getElementById('editor-place-button');
+    const select = document.getElementById('editor-annotation-select');
+    const titleInput = document.getElementById('editor-title');
+    const descInput = document.getElementById('editor-desc');
+    if (!placeButton || !select) return;
+
+    // The viewer and orbit controls listen for keys on window; typing here must not toggle point cloud mode etc.
+    document.getElementById('movable-dot-controls').addEventListener('keydown', (e) => e.stopPropagation());
+
+    placeButton.addEventListener('click', () => {
+        setPlacingAnnotation(!isPlacingAnnotation);
+        if (isPlacingAnnotation) {
+            setMeasureTool(null);
+            setCalibrationPicking(false);
+            setAlignmentPickTarget(null);
+        }
+    });
+    select.addEventListener('change', () => selectEditorAnnotation(parseInt(select.value, 10)));
+
+    titleInput.addEventListener('input', () => {
+        const data = currentAnnotationsData[editorSelectedIndex];
+        if (!data) return;
+        data.title = titleInput.value;
+        commitAnnotationChanges();
+    });
+    descInput.addEventListener('input', () => {
+        const data = currentAnnotationsData[editorSelectedIndex];
+        if (!data) return;
+        data.desc = descInput.value;
+        commitAnnotationChanges();
+    });
+
+    document.getElementById('editor-capture-camera').addEventListener('click', captureEditorCamera);
+    document.getElementById('editor-goto-camera').addEventListener('click', () => {
+        const data = currentAnnotationsData[editorSelectedIndex];
+        if (data && data.cameraPos && data.cameraLookAt) {
+            moveCameraTo(new THREE.Vector3(...data.cameraPos), new THREE.Vector3(...data.cameraLookAt));
+        }
+    });
+    document.getElementById('editor-delete').addEventListener('click', deleteEditorAnnotation);
+    document.getElementById('editor-copy-json').addEventListener('click', () => {
+        navigator.clipboard.writeText(formatAnnotationsJson(annotationsToScanFrame(currentAnnotationsData, constructionStages[currentStageIndex])))
+            .then(() => setEditorStatus('Copied to clipboard.'))
+            .catch(() => setEditorStatus('Clipboard is not available, use Download instead.'));
+    });
+    document.getElementById('editor-download-json').addEventListener('click', downloadAnnotationsJson);
+    document.getElementById('editor-revert').addEventListener('click', async () => {
+        delete annotationDrafts[currentStageIndex];
+        editorSelectedIndex = -1;
+        await addAnnotations(currentStageIndex);
+        createMovableDot();
+        setEditorStatus('Reverted to the saved file.');
+    });
+
+    refreshAnnotationEditor();
+}
+
+function setPlacingAnnotation(placing) {
+    isPlacingAnnotation = placing;
+    const placeButton = document.getElementById('editor-place-button');
+    if (placeButton) {
+        placeButton.classList.toggle('bg-blue-500', placing);
+        placeButton.classList.toggle('text-white', placing);
+    }
+    setEditorStatus(placing ? 'Click on the scan to place the annotation.' : '');
+}
+
+function setEditorStatus(message) {
+    const status = document.getElementById('editor-status');
+    if (status) status.textContent = message;
+}
+
+function refreshAnnotationEditor() {
+    const select = document.getElementById('editor-annotation-select');
+    if (!select) return;
+
+    if (editorSelectedIndex >= currentAnnotationsData.length) editorSelectedIndex = -1;
+
+    select.innerHTML = '';
+    const noneOption = document.createElement('option');
+    noneOption.value = '-1';
+    noneOption.textContent = currentAnnotationsData.length ? 'Select an annotation…' : 'No annotations yet';
+    select.appendChild(noneOption);
+    currentAnnotationsData.forEach((annotation, index) => {
+        const option = document.createElement('option');
+        option.value = String(index);
+        option.textContent = `${index + 1}. ${annotation.title || 'Untitled'}`;
+        select.appendChild(option);
+    });
+    select.value = String(editorSelectedIndex);
+
+    const data = currentAnnotationsData[editorSelectedIndex];
+    document.getElementById('editor-fields').classList.toggle('hidden', !data);
+    if (!data) return;
+
+    document.getElementById('editor-title').value = data.title || '';
+    document.getElementById('editor-desc').value = data.desc || '';
+    document.getElementById('editor-camera-pos').textContent = data.cameraPos ? `[${roundForJson(data.cameraPos).join(', ')}]` : '-';
+    document.getElementById('editor-camera-lookat').textContent = data.cameraLookAt ? `[${roundForJson(data.cameraLookAt).join(', ')}]` : '-';
+}
+
+function selectEditorAnnotation(index) {
+    editorSelectedIndex = index;
+    const data = currentAnnotationsData[index];
+    if (data && movableDot) {
+        movableDot.position.set(data.pos[0], data.pos[1], data.pos[2]);
+        setDotNormal(data.normal ? new THREE.Vector3(...data.normal) : null);
+        updateDotPositionDisplay();
+        updateDotInputs();
+    }
+    refreshAnnotationEditor();
+}
+
+// Keeps the edits for this stage and redraws everything that shows annotations
+function commitAnnotationChanges() {
+    annotationDrafts[currentStageIndex] = currentAnnotationsData;
+    renderAnnotationMarkers(currentAnnotationsData);
+    populateAnnotationsMenu(currentAnnotationsData);
+    refreshAnnotationEditor();
+}
+
+function roundForJson(values) {
+    return values.map(v => Math.round(v * 100) / 100);
+}
+
+function getCurrentCameraPose() {
+    return {
+        cameraPos: roundForJson(viewer.camera.position.toArray()),
+        cameraLookAt: roundForJson(viewer.controls.target.toArray())
+    };
+}
+
+function addAnnotationAt(position, normal = null) {
+    if (!viewer || !viewer.camera || !viewer.controls || currentStageIndex === -1) return;
+    const annotation = {
+        pos: roundForJson(position.toArray()),
+        title: 'New annotation',
+        desc: '',
+        ...getCurrentCameraPose()
+    };
+    if (normal) annotation.normal = roundForJson(normal.toArray());
+    currentAnnotationsData.push(annotation);
+    commitAnnotationChanges();
+    selectEditorAnnotation(currentAnnotationsData.length - 1);
+    const titleInput = document.getElementById('editor-title');
+    titleInput.focus();
+    titleInput.select();
+}
+
+function moveEditorAnnotationToDot() {
+    const data = currentAnnotationsData[editorSelectedIndex];
+    if (!data || !movableDot) return;
+    data.pos = roundForJson(movableDot.position.toArray());
+    if (movableDot.userData.normal) {
+        data.normal = roundForJson(movableDot.userData.normal.toArray());
+    } else {
+        delete data.normal;
+    }
+    if (currentAnnotations[editorSelectedIndex]) {
+        currentAnnotations[editorSelectedIndex].position.copy(movableDot.position);
+        currentAnnotations[editorSelectedIndex].userData.normal = movableDot.userData.normal;
+    }
+    annotationDrafts[currentStageIndex] = currentAnnotationsData;
+}
+
+function captureEditorCamera() {
+    const data = currentAnnotationsData[editorSelectedIndex];
+    if (!data || !viewer || !viewer.camera || !viewer.controls) return;
+    Object.assign(data, getCurrentCameraPose());
+    commitAnnotationChanges();
+    setEditorStatus('Camera captured.');
+}
+
+function deleteEditorAnnotation() {
+    if (!currentAnnotationsData[editorSelectedIndex]) return;
+    currentAnnotationsData.splice(editorSelectedIndex, 1);
+    editorSelectedIndex = -1;
+    selectedAnnotationIndex = -1;
+    commitAnnotationChanges();
+}
+
+// A click, as opposed to an orbit drag, that lands on the main canvas rather than on menus floating above it
+function isCanvasClick(event) {
+    if (!lastPointerDown) return false;
+    const moved = Math.hypot(event.clientX - lastPointerDown.x, event.clientY - lastPointerDown.y);
+    return moved <= 4 && viewerCanvasHost.contains(event.target);
+}
+
+// Clicking (not dragging) on the scan while placing drops a new annotation there
+function onEditorPointerUp(event) {
+    if (!isPlacingAnnotation || !devOverlayVisible || !isCanvasClick(event)) return;
+
+    const picked = pickScenePoint(event);
+    if (!picked) return;
+    addAnnotationAt(picked.point, picked.normal);
+    setPlacingAnnotation(false);
+}
+
+// Point under the cursor as { point, normal }: on the scanned surface when a splat is hit,
+// otherwise on a camera-facing plane through the orbit target (without a normal)
+function pickScenePoint(event) {
+    if (!viewer || !viewer.camera || !viewer.controls) return null;
+    const surfaceHit = pickSplatSurface(event);
+    if (surfaceHit) return surfaceHit;
+
+    const rect = getViewportRect();
+    mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    raycaster.setFromCamera(mouse, viewer.camera);
+
+    const cameraDirection = new THREE.Vector3();
+    viewer.camera.getWorldDirection(cameraDirection);
+    const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(cameraDirection, viewer.controls.target);
+    const point = new THREE.Vector3();
+    return raycaster.ray.intersectPlane(plane, point) ? { point, normal: null } : null;
+}
+
+// Same layout as the hand-written files: one annotation per line, two decimals for coordinates
+function formatAnnotationsJson(annotations) {
+    const isCoordinates = (value) => Array.isArray(value) && value.every(v => typeof v === 'number');
+    const formatValue = (value) => {
+        if (isCoordinates(value)) {
+            return `[${value.map(v => v.toFixed(2)).join(', ')}]`;
+        }
+        // Camera path keyframes carry their coordinates one level down
+        return JSON.stringify(value, (key, nested) => (isCoordinates(nested) ? roundForJson(nested) : nested));
+    };
+    const keyOrder = ['pos', 'normal', 'title', 'desc', 'cameraPos', 'cameraLookAt'];
+    const lines = annotations.map(annotation => {
+        const keys = keyOrder.filter(key => annotation[key] !== undefined)
+            .concat(Object.keys(annotation).filter(key => !keyOrder.includes(key)));
+        const fields = keys.map(key => `"${key}": ${formatValue(annotation[key])}`);
+        return `  { ${fields.join(', ')} }`;
+    });
+    return `[\n${lines.join(',\n')}\n]\n`;
+}
+
+function downloadTextFile(filename, text, type = 'application/json') {
+    downloadBlob(filename, new Blob([text], { type }));
+}
+
+function downloadBlob(filename, blob) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+function downloadAnnotationsJson() {
+    const stage = constructionStages[currentStageIndex];
+    const filename = stage && stage.annotationsUrl ? stage.annotationsUrl.split('/').pop() : `stage${currentStageIndex + 1}.json`;
+    downloadTextFile(filename, formatAnnotationsJson(annotationsToScanFrame(currentAnnotationsData, stage)));
+    setEditorStatus(`Saved ${filename}.`);
+}
+
+// Measurement tools: points are picked on the splat surface and values are shown in metres when the
+// stage has a `unitsPerMetre` scale in stages.json, otherwise in raw scene units
+const MEASURE_TOOLS = {
+    distance: { label: 'Distance', minPoints: 2, maxPoints: 2, hint: 'Click two points on the scan.' },
+    path: { label: 'Path', minPoints: 2, maxPoints: Infinity, hint: 'Click points along the path, then press Finish or Enter.' },
+    area: { label: 'Area', minPoints: 3, maxPoints: Infinity, hint: 'Click the corners of the area, then press Finish or Enter.' },
+    height: { label: 'Height', minPoints: 1, maxPoints: 1, hint: 'Click a point to measure its height above the ground.' }
+};
+
+function initializeMeasureTools() {
+    const measureButton = document.getElementById('measure-button');
+    const measurePanel = document.getElementById('measure-panel');
+    if (!measureButton || !measurePanel) return;
+
+    measureButton.addEventListener('click', () => {
+        const show = measurePanel.classList.contains('hidden');
+        measurePanel.classList.toggle('hidden', !show);
+        if (!show) setMeasureTool(null);
+    });
+
+    measurePanel.querySelectorAll('.measure-tool').forEach(button => {
+        button.addEventListener('click', () => {
+            const tool = button.dataset.tool;
+            setMeasureTool(measureTool === tool ? null : tool);
+        });
+    });
+    document.getElementById('measure-finish').addEventListener('click', finishMeasurement);
+    document.getElementById('measure-undo').addEventListener('click', undoMeasurePoint);
+    document.getElementById('measure-clear').addEventListener('click', clearMeasurements);
+    document.getElementById('measure-copy').addEventListener('click', copyMeasurements);
+    document.getElementById('measure-export').addEventListener('click', exportMeasurements);
+
+    window.addEventListener('keydown', (e) => {
+        if (!measureTool) return;
+        if (e.key === 'Enter') {
+            finishMeasurement();
+        } else if (e.key === 'Escape') {
+            cancelActiveMeasurement();
+        }
+    });
+
+    updateMeasureScaleLabel();
+    refreshMeasureList();
+}
+
+function setMeasureTool(tool) {
+    cancelActiveMeasurement();
+    measureTool = tool;
+    if (tool) {
+        setPlacingAnnotation(false);
+        setCalibrationPicking(false);
+        setAlignmentPickTarget(null);
+    }
+
+    document.querySelectorAll('#measure-panel .measure-tool').forEach(button => {
+        const active = button.dataset.tool === tool;
+        button.classList.toggle('bg-blue-500', active);
+        button.classList.toggle('text-white', active);
+    });
+    setMeasureHint(tool ? MEASURE_TOOLS[tool].hint : 'Pick a tool to start measuring.');
+}
+
+function setMeasureHint(message) {
+    const hint = document.getElementById('measure-hint');
+    if (hint) hint.textContent = message;
+}
+
+function onMeasurePointerUp(event) {
+    if (!measureTool || !isCanvasClick(event)) return;
+    const surfaceHit = pickSplatSurface(event);
+    if (!surfaceHit) {
+        setMeasureHint('No scan surface under the cursor, try again.');
+        return;
+    }
+    addMeasurePoint(surfaceHit.point);
+}
+
+function addMeasurePoint(point) {
+    if (!activeMeasurement) {
+        activeMeasurement = createMeasurement(measureTool);
+    }
+    activeMeasurement.points.push(point.clone());
+    updateMeasurementGraphics(activeMeasurement);
+
+    if (activeMeasurement.points.length >= MEASURE_TOOLS[activeMeasurement.type].maxPoints) {
+        finishMeasurement();
+    } else {
+        setMeasureHint(MEASURE_TOOLS[activeMeasurement.type].hint);
+    }
+}
+
+function createMeasurement(type) {
+    measurementCounts[type] = (measurementCounts[type] || 0) + 1;
+    const group = new THREE.Group();
+    overlayScene.add(group);
+
+    const label = document.createElement('div');
+    label.className = 'measure-label';
+    document.getElementById('measure-labels').appendChild(label);
+
+    return { type, name: `${MEASURE_TOOLS[type].label} ${measurementCounts[type]}`, points: [], group, label };
+}
+
+function finishMeasurement() {
+    if (!activeMeasurement) return;
+    if (activeMeasurement.points.length < MEASURE_TOOLS[activeMeasurement.type].minPoints) {
+        setMeasureHint(`Needs at least ${MEASURE_TOOLS[activeMeasurement.type].minPoints} points.`);
+        return;
+    }
+    measurements.push(activeMeasurement);
+    activeMeasurement = null;
+    refreshMeasureList();
+    setMeasureHint(measureTool ? MEASURE_TOOLS[measureTool].hint : '');
+}
+
+function undoMeasurePoint() {
+    if (activeMeasurement) {
+        activeMeasurement.points.pop();
+        if (activeMeasurement.points.length === 0) {
+            cancelActiveMeasurement();
+        } else {
+            updateMeasurementGraphics(activeMeasurement);
+        }
+    } else if (measurements.length > 0) {
+        removeMeasurement(measurements.pop());
+        refreshMeasureList();
+    }
+}
+
+function cancelActiveMeasurement() {
+    if (!activeMeasurement) return;
+    removeMeasurement(activeMeasurement);
+    activeMeasurement = null;
+}
+
+function removeMeasurement(measurement) {
+    overlayScene.remove(measurement.group);
+    measurement.group.traverse(object => {
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) object.material.dispose();
+    });
+    measurement.label.remove();
+}
+
+function clearMeasurements() {
+    cancelActiveMeasurement();
+    measurements.forEach(removeMeasurement);
+    measurements = [];
+    measurementCounts = {};
+    refreshMeasureList();
+}
+
+// Scene units per metre for the current stage, or null when the stage isn't calibrated
+function getStageUnitsPerMetre() {
+    const stage = constructionStages[currentStageIndex];
+    return stage && stage.unitsPerMetre > 0 ? stage.unitsPerMetre : null;
+}
+
+// Up direction and ground level of a stage. By default the Y-axis is inverted and the ground is at y=0;
+// calibrated stages can override both with `upAxis` and `groundOffset` (measured along the up axis).
+function getStageGround(stageIndex = currentStageIndex) {
+    const stage = constructionStages[stageIndex] || {};
+    const up = Array.isArray(stage.upAxis) && stage.upAxis.length === 3
+        ? new THREE.Vector3(...stage.upAxis).normalize()
+        : new THREE.Vector3(0, -1, 0);
+    if (up.lengthSq() === 0) up.set(0, -1, 0);
+    return { up, offset: Number(stage.groundOffset) || 0 };
+}
+
+function getHeightAboveGround(point, ground = getStageGround()) {
+    return point.dot(ground.up) - ground.offset;
+}
+
+function getGroundPoint(point, ground = getStageGround()) {
+    return point.clone().addScaledVector(ground.up, -getHeightAboveGround(point, ground));
+}
+
+function formatLength(units) {
+    const unitsPerMetre = getStageUnitsPerMetre();
+    return unitsPerMetre ? `${(units / unitsPerMetre).toFixed(2)} m` : `${units.toFixed(2)} units`;
+}
+
+function formatArea(squareUnits) {
+    const unitsPerMetre = getStageUnitsPerMetre();
+    return unitsPerMetre ? `${(squareUnits / (unitsPerMetre * unitsPerMetre)).toFixed(2)} m²` : `${squareUnits.toFixed(2)} units²`;
+}
+
+function getPathLength(points, closed = false) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) length += points[i].distanceTo(points[i - 1]);
+    if (closed && points.length > 2) length += points[points.length - 1].distanceTo(points[0]);
+    return length;
+}
+
+// Area of a (roughly planar) polygon in 3D: half the length of the summed cross products
+function getPolygonArea(points) {
+    const sum = new THREE.Vector3();
+    const cross = new THREE.Vector3();
+    for (let i = 0; i < points.length; i++) {
+        sum.add(cross.crossVectors(points[i], points[(i + 1) % points.length]));
+    }
+    return sum.length() / 2;
+}
+
+// Raw value in scene units (squared for areas) plus its display text
+function getMeasurementValue(measurement) {
+    const points = measurement.points;
+    switch (measurement.type) {
+        case 'distance':
+        case 'path': {
+            const length = getPathLength(points);
+            return { value: length, dimension: 1, text: formatLength(length) };
+        }
+        case 'area': {
+            const area = points.length >= 3 ? getPolygonArea(points) : 0;
+            return { value: area, dimension: 2, text: `${formatArea(area)} (perimeter ${formatLength(getPathLength(points, true))})` };
+        }
+        case 'height': {
+            const height = points.length ? getHeightAboveGround(points[0]) : 0;
+            return { value: height, dimension: 1, text: formatLength(height) };
+        }
+    }
+    return { value: 0, dimension: 1, text: '' };
+}
+
+function getMeasurementAnchor(measurement) {
+    const points = measurement.points;
+    if (measurement.type === 'height') {
+        return points[0].clone().add(getGroundPoint(points[0])).multiplyScalar(0.5);
+    }
+    if (measurement.type === 'area' && points.length >= 3) {
+        return points.reduce((sum, p) => sum.add(p), new THREE.Vector3()).divideScalar(points.length);
+    }
+    const middle = Math.max(1, Math.floor(points.length / 2));
+    if (points.length < 2) return points[0].clone();
+    return points[middle - 1].clone().add(points[middle]).multiplyScalar(0.5);
+}
+
+function updateMeasurementGraphics(measurement) {
+    const group = measurement.group;
+    group.children.slice().forEach(child => {
+        group.remove(child);
+        child.geometry.dispose();
+        child.material.dispose();
+    });
+
+    const color = 0xf59e0b;
+    measurement.points.forEach(point => {
+        const marker = new THREE.Mesh(
+            new THREE.SphereGeometry(0.025, 12, 12),
+            new THREE.MeshBasicMaterial({ color, depthTest: false })
+        );
+        marker.position.copy(point);
+        group.add(marker);
+    });
+
+    let linePoints = measurement.points;
+    if (measurement.type === 'height' && linePoints.length) {
+        linePoints = [linePoints[0], getGroundPoint(linePoints[0])];
+    }
+    if (linePoints.length >= 2) {
+        const geometry = new THREE.BufferGeometry().setFromPoints(linePoints);
+        const material = new THREE.LineBasicMaterial({ color, depthTest: false });
+        group.add(measurement.type === 'area' && linePoints.length >= 3 ? new THREE.LineLoop(geometry, material) : new THREE.Line(geometry, material));
+    }
+
+    measurement.label.textContent = measurement.points.length ? getMeasurementValue(measurement).text : '';
+}
+
+// Keeps the HTML labels glued to their measurements; called every frame
+const measureLabelPosition = new THREE.Vector3();
+function updateMeasureLabels() {
+    const all = activeMeasurement ? measurements.concat([activeMeasurement]) : measurements;
+    if (all.length === 0 || !viewer || !viewer.camera) return;
+
+    // Labels live inside the canvas host, so they use its unscaled size (it is scaled down while recording)
+    const width = viewerCanvasHost.offsetWidth;
+    const height = viewerCanvasHost.offsetHeight;
+    all.forEach(measurement => {
+        if (measurement.points.length === 0) {
+            measurement.label.style.display = 'none';
+            return;
+        }
+        measureLabelPosition.copy(getMeasurementAnchor(measurement)).project(viewer.camera);
+        const visible = measureLabelPosition.z < 1;
+        measurement.label.style.display = visible ? 'block' : 'none';
+        if (!visible) return;
+        const x = (measureLabelPosition.x + 1) / 2 * width;
+        const y = (1 - measureLabelPosition.y) / 2 * height;
+        measurement.label.style.transform = `translate(-50%, -50%) translate(${x}px, ${y}px)`;
+    });
+}
+
+function updateMeasureScaleLabel() {
+    const scaleLabel = document.getElementById('measure-scale');
+    if (!scaleLabel) return;
+    const unitsPerMetre = getStageUnitsPerMetre();
+    scaleLabel.textContent = unitsPerMetre ? `1 m = ${unitsPerMetre} units` : 'Not calibrated';
+}
+
+function refreshMeasureList() {
+    const list = document.getElementById('measure-list');
+    if (!list) return;
+    list.innerHTML = '';
+    if (measurements.length === 0) {
+        list.innerHTML = '<div class="text-gray-500">No measurements yet.</div>';
+        return;
+    }
+    measurements.forEach((measurement, index) => {
+        const row = document.createElement('div');
+        row.className = 'flex justify-between items-center';
+        row.innerHTML = `<span class="text-gray-600">${measurement.name}</span><span class="font-mono text-gray-800"></span>`;
+        row.lastChild.textContent = getMeasurementValue(measurement).text;
+
+        const removeButton = document.createElement('button');
+        removeButton.className = 'ml-2 text-gray-500 hover:text-gray-700';
+        removeButton.textContent = '×';
+        removeButton.title = 'Remove';
+        removeButton.addEventListener('click', () => {
+            removeMeasurement(measurement);
+            measurements.splice(index, 1);
+            refreshMeasureList();
+        });
+        row.appendChild(removeButton);
+        list.appendChild(row);
+    });
+}
+
+function copyMeasurements() {
+    const stage = constructionStages[currentStageIndex];
+    const lines = measurements.map(m => `${m.name}: ${getMeasurementValue(m).text}`);
+    const text = [stage ? stage.title : '', ...lines].join('\n');
+    navigator.clipboard.writeText(text)
+        .then(() => setMeasureHint('Measurements copied to clipboard.'))
+        .catch(() => setMeasureHint('Clipboard is not available, use Export instead.'));
+}
+
+function exportMeasurements() {
+    const stage = constructionStages[currentStageIndex];
+    const unitsPerMetre = getStageUnitsPerMetre();
+    const data = {
+        stage: stage ? stage.title : null,
+        unitsPerMetre,
+        measurements: measurements.map(m => {
+            const { value, dimension } = getMeasurementValue(m);
+            return {
+                name: m.name,
+                type: m.type,
+                points: m.points.map(p => roundForJson(p.toArray())),
+                value: unitsPerMetre ? value / Math.pow(unitsPerMetre, dimension) : value,
+                unit: unitsPerMetre ? (dimension === 2 ? 'm²' : 'm') : (dimension === 2 ? 'units²' : 'units')
+            };
+        })
+    };
+    downloadTextFile(`measurements-stage${currentStageIndex + 1}.json`, JSON.stringify(data, null, 2));
+}
+
+// Calibration: derives a stage's `unitsPerMetre` from two picked points and a known real distance.
+// Results are kept in localStorage until they are copied into stages.json via the exported patch.
+function applySavedCalibrations() {
+    stageFileCalibrations = constructionStages.map(stage => pickCalibrationFields(stage));
+
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(CALIBRATION_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('Ignoring unreadable saved calibrations:', error);
+    }
+    constructionStages.forEach(stage => {
+        if (saved[stage.splatUrl]) Object.assign(stage, pickCalibrationFields(saved[stage.splatUrl]));
+    });
+}
+
+function pickCalibrationFields(source) {
+    const fields = {};
+    CALIBRATION_FIELDS.forEach(field => {
+        if (source[field] !== undefined) fields[field] = source[field];
+    });
+    return fields;
+}
+
+function saveStageCalibration(stageIndex = currentStageIndex) {
+    const stage = constructionStages[stageIndex];
+    if (!stage || stage.isLocal) return; // Object URLs don't outlive the page
+
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(CALIBRATION_STORAGE_KEY)) || {};
+    } catch (error) {
+        // Start over if the stored value is broken
+    }
+    saved[stage.splatUrl] = pickCalibrationFields(stage);
+    localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify(saved));
+}
+
+function initializeCalibrationTool() {
+    const pickButton = document.getElementById('calibration-pick-button');
+    if (!pickButton) return;
+
+    pickButton.addEventListener('click', () => setCalibrationPicking(!isPickingCalibration));
+    document.getElementById('calibration-apply').addEventListener('click', applyCalibrationDistance);
+    document.getElementById('calibration-up-axis').addEventListener('change', (e) => {
+        updateStageCalibration({ upAxis: JSON.parse(e.target.value) });
+    });
+    document.getElementById('calibration-ground-offset').addEventListener('change', (e) => {
+        const offset = parseFloat(e.target.value);
+        if (!isNaN(offset)) updateStageCalibration({ groundOffset: offset });
+    });
+    document.getElementById('calibration-ground-from-dot').addEventListener('click', () => {
+        if (!movableDot) return;
+        const offset = movableDot.position.dot(getStageGround().up);
+        updateStageCalibration({ groundOffset: roundForJson([offset])[0] });
+        setCalibrationStatus('Ground moved to the dot.');
+    });
+    document.getElementById('calibration-reset').addEventListener('click', resetStageCalibration);
+    document.getElementById('calibration-copy-patch').addEventListener('click', () => {
+        navigator.clipboard.writeText(JSON.stringify(buildCalibrationPatch(), null, 2))
+            .then(() => setCalibrationStatus('Patch copied to clipboard.'))
+            .catch(() => setCalibrationStatus('Clipboard is not available, use Download instead.'));
+    });
+    document.getElementById('calibration-download-patch').addEventListener('click', () => {
+        downloadTextFile('stages.patch.json', JSON.stringify(buildCalibrationPatch(), null, 2));
+    });
+
+    refreshCalibrationPanel();
+}
+
+function setCalibrationPicking(picking) {
+    isPickingCalibration = picking;
+    if (picking) {
+        calibrationPoints = [];
+        updateCalibrationGraphics();
+        setPlacingAnnotation(false);
+        setMeasureTool(null);
+        setAlignmentPickTarget(null);
+    }
+    const pickButton = document.getElementById('calibration-pick-button');
+    if (pickButton) {
+        pickButton.classList.toggle('bg-blue-500', picking);
+        pickButton.classList.toggle('text-white', picking);
+    }
+    if (picking) setCalibrationStatus('Click two points on the scan that are a known distance apart.');
+}
+
+function setCalibrationStatus(message) {
+    const status = document.getElementById('calibration-status');
+    if (status) status.textContent = message;
+}
+
+function onCalibrationPointerUp(event) {
+    if (!isPickingCalibration || !devOverlayVisible || !isCanvasClick(event)) return;
+
+    const surfaceHit = pickSplatSurface(event);
+    if (!surfaceHit) {
+        setCalibrationStatus('No scan surface under the cursor, try again.');
+        return;
+    }
+    calibrationPoints.push(surfaceHit.point.clone());
+    updateCalibrationGraphics();
+
+    if (calibrationPoints.length === 2) {
+        setCalibrationPicking(false);
+        setCalibrationStatus('Now enter the real distance between the points and press Apply.');
+        document.getElementById('calibration-distance').focus();
+    }
+}
+
+function updateCalibrationGraphics() {
+    if (calibrationGroup) {
+        overlayScene.remove(calibrationGroup);
+        calibrationGroup.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) object.material.dispose();
+        });
+        calibrationGroup = null;
+    }
+
+    const measured = document.getElementById('calibration-measured');
+    if (measured) {
+        measured.textContent = calibrationPoints.length === 2
+            ? `${calibrationPoints[0].distanceTo(calibrationPoints[1]).toFixed(3)} units`
+            : '-';
+    }
+    if (calibrationPoints.length === 0) return;
+
+    calibrationGroup = new THREE.Group();
+    const color = 0x22c55e;
+    calibrationPoints.forEach(point => {
+        const marker = new THREE.Mesh(
+            new THREE.SphereGeometry(0.025, 12, 12),
+            new THREE.MeshBasicMaterial({ color, depthTest: false })
+        );
+        marker.position.copy(point);
+        calibrationGroup.add(marker);
+    });
+    if (calibrationPoints.length === 2) {
+        calibrationGroup.add(new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(calibrationPoints),
+            new THREE.LineBasicMaterial({ color, depthTest: false })
+        ));
+    }
+    overlayScene.add(calibrationGroup);
+}
+
+function applyCalibrationDistance() {
+    const metres = parseFloat(document.getElementById('calibration-distance').value);
+    if (calibrationPoints.length !== 2) {
+        setCalibrationStatus('Pick two points first.');
+        return;
+    }
+    if (!(metres > 0)) {
+        setCalibrationStatus('Enter the real distance in metres.');
+        return;
+    }
+    const units = calibrationPoints[0].distanceTo(calibrationPoints[1]);
+    updateStageCalibration({ unitsPerMetre: Math.round(units / metres * 10000) / 10000 });
+    calibrationPoints = [];
+    updateCalibrationGraphics();
+    setCalibrationStatus('Calibration saved for this stage.');
+}
+
+function updateStageCalibration(fields) {
+    const stage = constructionStages[currentStageIndex];
+    if (!stage) return;
+    Object.assign(stage, fields);
+    saveStageCalibration();
+    onStageCalibrationChanged();
+}
+
+function resetStageCalibration() {
+    const stage = constructionStages[currentStageIndex];
+    if (!stage) return;
+    const previousMatrix = getStageTransform(stage).matrix;
+    CALIBRATION_FIELDS.forEach(field => delete stage[field]);
+    Object.assign(stage, stageFileCalibrations[currentStageIndex]);
+
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(CALIBRATION_STORAGE_KEY)) || {};
+    } catch (error) {
+        // Nothing worth keeping
+    }
+    delete saved[stage.splatUrl];
+    localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify(saved));
+
+    onStageCalibrationChanged();
+    setCalibrationStatus('Reverted to stages.json.');
+    if (!getStageTransform(stage).matrix.equals(previousMatrix)) onStageTransformChanged(previousMatrix);
+}
+
+// Measurements are stored in scene units, so only their labels need refreshing
+function onStageCalibrationChanged() {
+    refreshCalibrationPanel();
+    updateMeasureScaleLabel();
+    measurements.forEach(updateMeasurementGraphics);
+    if (activeMeasurement) updateMeasurementGraphics(activeMeasurement);
+    refreshMeasureList();
+}
+
+function refreshCalibrationPanel() {
+    const scale = document.getElementById('calibration-scale');
+    if (!scale) return;
+
+    const stage = constructionStages[currentStageIndex] || {};
+    scale.textContent = stage.unitsPerMetre > 0 ? `1 m = ${stage.unitsPerMetre} units` : 'Not calibrated';
+
+    const upAxisSelect = document.getElementById('calibration-up-axis');
+    const upAxisValue = JSON.stringify(Array.isArray(stage.upAxis) ? stage.upAxis : [0, -1, 0]);
+    if (!Array.from(upAxisSelect.options).some(option => option.value === upAxisValue)) {
+        upAxisSelect.add(new Option(`Custom ${upAxisValue}`, upAxisValue));
+    }
+    upAxisSelect.value = upAxisValue;
+    document.getElementById('calibration-ground-offset').value = Number(stage.groundOffset) || 0;
+
+    updateCalibrationGraphics();
+}
+
+// JSON Patch (RFC 6902) that brings stages.json in line with the calibrations made in this browser
+function buildCalibrationPatch() {
+    const patch = [];
+    constructionStages.forEach((stage, index) => {
+        if (stage.isLocal) return; // Not in stages.json
+        const original = stageFileCalibrations[index] || {};
+        CALIBRATION_FIELDS.forEach(field => {
+            const value = stage[field];
+            if (JSON.stringify(value) === JSON.stringify(original[field])) return;
+            if (value === undefined) {
+                patch.push({ op: 'remove', path: `${stagesJsonPrefix}/${index}/${field}` });
+            } else {
+                patch.push({ op: original[field] === undefined ? 'add' : 'replace', path: `${stagesJsonPrefix}/${index}/${field}`, value });
+            }
+        });
+    });
+    return patch;
+}
+
+// Converter (dev mode): turns a dropped .ply/.splat into a compressed .ksplat for publishing, with a preview
+// in the main viewer and a stages.json entry for it
+function initializeConverter() {
+    const dropZone = document.getElementById('converter-drop');
+    const fileInput = document.getElementById('converter-file');
+    if (!dropZone || !fileInput) return;
+
+    dropZone.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files[0]) convertSceneFile(fileInput.files[0]);
+        fileInput.value = '';
+    });
+    // The drop is handled here, not by the viewer underneath
+    dropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        dropZone.classList.add('border-blue-500');
+    });
+    dropZone.addEventListener('dragleave', () => dropZone.classList.remove('border-blue-500'));
+    dropZone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        dropZone.classList.remove('border-blue-500');
+        if (e.dataTransfer.files[0]) convertSceneFile(e.dataTransfer.files[0]);
+    });
+
+    document.getElementById('converter-preview').addEventListener('click', toggleConverterPreview);
+    document.getElementById('converter-download').addEventListener('click', () => {
+        if (!convertedScene) return;
+        downloadBlob(`${convertedScene.name}.ksplat`, new Blob([convertedScene.splatBuffer.bufferData]));
+        setConverterStatus(`Saved ${convertedScene.name}.ksplat.`);
+    });
+    document.getElementById('converter-copy-entry').addEventListener('click', () => {
+        if (!convertedScene) return;
+        navigator.clipboard.writeText(buildConvertedStageEntry())
+            .then(() => setConverterStatus('stages.json entry copied to clipboard.'))
+            .catch(() => setConverterStatus('Clipboard is not available.'));
+    });
+
+    refreshConverterPanel();
+}
+
+async function convertSceneFile(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    if (extension !== 'ply' && extension !== 'splat') {
+        setConverterStatus('Only .ply and .splat files can be converted.');
+        return;
+    }
+
+    const compressionLevel = parseInt(document.getElementById('converter-compression').value, 10);
+    const alphaThreshold = Math.min(Math.max(parseInt(document.getElementById('converter-alpha').value, 10) || 0, 0), 255);
+    const sphericalHarmonicsDegree = parseInt(document.getElementById('converter-sh-degree').value, 10);
+
+    if (isConverterPreviewActive) await loadStage(currentStageIndex);
+    convertedScene = null;
+    refreshConverterPanel();
+    setConverterStatus(`Converting ${file.name}…`);
+
+    try {
+        const fileData = await file.arrayBuffer();
+        const splatBuffer = extension === 'ply'
+            ? await GaussianSplats3D.PlyLoader.loadFromFileData(fileData, alphaThreshold, compressionLevel, true, sphericalHarmonicsDegree)
+            : await GaussianSplats3D.SplatLoader.loadFromFileData(fileData, alphaThreshold, compressionLevel, true);
+
+        convertedScene = {
+            name: file.name.replace(/\.[^.]+$/, ''),
+            splatBuffer,
+            sphericalHarmonicsDegree: extension === 'ply' ? sphericalHarmonicsDegree : 0
+        };
+        const sizeMB = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+        setConverterStatus(`${splatBuffer.getSplatCount().toLocaleString()} splats, ` +
+            `${sizeMB(file.size)} MB → ${sizeMB(splatBuffer.bufferData.byteLength)} MB.`);
+    } catch (error) {
+        console.error(`Failed to convert ${file.name}:`, error);
+        setConverterStatus(`Couldn't convert ${file.name}.`);
+    }
+    refreshConverterPanel();
+}
+
+// The preview takes over the main viewer until the user goes back or picks a stage
+async function toggleConverterPreview() {
+    if (isConverterPreviewActive) {
+        loadStage(currentStageIndex);
+        return;
+    }
+    if (!convertedScene || !viewer || isLoading) return;
+    if (swipeStageIndex !== -1) {
+        setConverterStatus('Leave swipe mode to preview.');
+        return;
+    }
+    if (changeStageIndex !== -1) {
+        setConverterStatus('Leave change mode to preview.');
+        return;
+    }
+
+    // Queued like a stage load, so a stage picked meanwhile replaces the preview instead of racing it
+    const { loadId, previousLoad, finishLoad } = claimViewerLoad([]);
+    try {
+        await previousLoad;
+        if (loadId !== stageLoadId) return;
+
+        isConverterPreviewActive = true;
+        refreshConverterPanel();
+        clearMeasurements();
+        currentAnnotations.forEach(marker => { marker.visible = false; });
+        await clearViewerScenes(viewer);
+        viewer.sceneRevealMode = GaussianSplats3D.SceneRevealMode.Default;
+        await viewer.addSplatBuffers([convertedScene.splatBuffer], [{}], true, false, false);
+        setConverterStatus(`Previewing ${convertedScene.name}; its annotations are hidden.`);
+    } finally {
+        finishLoad();
+        if (loadId === stageLoadId) {
+            isLoading = false;
+            activeLoadUrls = [];
+        }
+    }
+}
+
+// Formatted like the entries in stages.json, starting from the current camera
+function buildConvertedStageEntry() {
+    const entry = {
+        splatUrl: `./splats/${convertedScene.name}.ksplat`,
+        title: convertedScene.name,
+        description: '',
+        initialCameraPosition: roundForJson(viewer.camera.position.toArray()),
+        initialCameraLookAt: roundForJson(viewer.controls.target.toArray())
+    };
+    if (convertedScene.sphericalHarmonicsDegree > 0) entry.sphericalHarmonicsDegree = convertedScene.sphericalHarmonicsDegree;
+
+    return `  {\n${formatStageFields(entry)}\n  }`;
+}
+
+// Lines for a stages.json entry, indented and with arrays kept on one line like the rest of the file
+function formatStageFields(fields) {
+    const formatValue = (value) => Array.isArray(value) ? `[${value.join(', ')}]` : JSON.stringify(value);
+    return Object.keys(fields).map(key => `    "${key}": ${formatValue(fields[key])}`).join(',\n');
+}
+
+function setConverterStatus(message) {
+    const status = document.getElementById('converter-status');
+    if (status) status.textContent = message;
+}
+
+function refreshConverterPanel() {
+    const previewButton = document.getElementById('converter-preview');
+    if (!previewButton) return;
+    previewButton.textContent = isConverterPreviewActive ? 'Back to stage' : 'Preview';
+    ['converter-preview', 'converter-download', 'converter-copy-entry'].forEach(id => {
+        const button = document.getElementById(id);
+        button.disabled = !convertedScene;
+        button.classList.toggle('opacity-50', !convertedScene);
+    });
+}
+
+// Local scans dropped on the viewer become temporary stages at the end of the timeline. They live
+// only in this page, behind object URLs, and never end up in stages.json or its calibration patch.
+const LOCAL_SCAN_EXTENSIONS = ['splat', 'ply', 'ksplat', 'spz'];
+
+function initializeLocalStageDrop() {
+    const overlay = document.getElementById('drop-overlay');
+    let dragDepth = 0; // dragenter/dragleave also fire for every child the pointer crosses
+
+    const isFileDrag = (e) => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+    viewerContainer.addEventListener('dragenter', (e) => {
+        if (!isFileDrag(e)) return;
+        dragDepth++;
+        overlay.classList.remove('hidden');
+    });
+    viewerContainer.addEventListener('dragleave', (e) => {
+        if (!isFileDrag(e)) return;
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (dragDepth === 0) overlay.classList.add('hidden');
+    });
+    viewerContainer.addEventListener('dragover', (e) => {
+        if (isFileDrag(e)) e.preventDefault();
+    });
+    viewerContainer.addEventListener('drop', (e) => {
+        if (!isFileDrag(e)) return;
+        e.preventDefault();
+        dragDepth = 0;
+        overlay.classList.add('hidden');
+        addLocalStage(Array.from(e.dataTransfer.files)).catch((error) => {
+            console.error('Failed to add the dropped files:', error);
+            showLoadError(`Couldn't open the dropped files.`);
+        });
+    });
+}
+
+// Dropped files come from anywhere, so annotations are only taken in the shape of the files in annotations/
+async function isAnnotationsFile(file) {
+    const isVector = value => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+    try {
+        const annotations = JSON.parse(await file.text());
+        return Array.isArray(annotations) && annotations.every(annotation =>
+            annotation !== null && typeof annotation === 'object' && isVector(annotation.pos) &&
+            ['normal', 'cameraPos', 'cameraLookAt'].every(field => annotation[field] === undefined || isVector(annotation[field])) &&
+            ['title', 'desc'].every(field => annotation[field] === undefined || typeof annotation[field] === 'string'));
+    } catch (error) {
+        return false;
+    }
+}
+
+async function addLocalStage(files) {
+    if (isExporting) return;
+    const getExtension = (file) => file.name.split('.').pop().toLowerCase();
+    const scanFile = files.find(file => LOCAL_SCAN_EXTENSIONS.includes(getExtension(file)));
+    let annotationsFile = files.find(file => getExtension(file) === 'json');
+    let annotationsError = null;
+    if (annotationsFile && !(await isAnnotationsFile(annotationsFile))) {
+        annotationsError = `${annotationsFile.name} is not an annotations file: expected a list of annotations, each with a "pos" of three numbers.`;
+        annotationsFile = undefined;
+        if (!scanFile) {
+            showLoadError(annotationsError);
+            return;
+        }
+    }
+
+    // Annotations on their own go to the temporary stage being looked at
+    if (!scanFile) {
+        const stage = constructionStages[currentStageIndex];
+        if (annotationsFile && stage && stage.isLocal) {
+            if (stage.annotationsUrl) URL.revokeObjectURL(stage.annotationsUrl);
+            stage.annotationsUrl = URL.createObjectURL(annotationsFile);
+            delete annotationDrafts[currentStageIndex];
+            await addAnnotations(currentStageIndex);
+        } else {
+            showLoadError(`Drop a ${LOCAL_SCAN_EXTENSIONS.map(ext => '.' + ext).join(', ')} file to preview it.`);
+        }
+        return;
+    }
+
+    // Starts from the current view so the new scan can be checked against the stage on screen
+    const reference = constructionStages[currentStageIndex] || {};
+    const stage = {
+        splatUrl: URL.createObjectURL(scanFile),
+        format: getExtension(scanFile),
+        title: `${scanFile.name} (local)`,
+        description: 'Local file, not part of stages.json.',
+        annotationsUrl: annotationsFile ? URL.createObjectURL(annotationsFile) : undefined,
+        initialCameraPosition: viewer ? roundForJson(viewer.camera.position.toArray()) : reference.initialCameraPosition,
+        initialCameraLookAt: viewer ? roundForJson(viewer.controls.target.toArray()) : reference.initialCameraLookAt,
+        date: new Date(scanFile.lastModified).toISOString().slice(0, 10),
+        isLocal: true
+    };
+    await registerSceneSources([stage]);
+
+    const index = constructionStages.push(stage) - 1;
+    stageFileCalibrations.push({});
+    createTimelineItem(stage, index);
+    layoutTimeline();
+    // Loading clears the error panel, so a rejected annotations file is reported once the scan is up
+    await loadStage(index);
+    if (annotationsError && currentStageIndex === index) showLoadError(annotationsError);
+}
+
+// Alignment (dev mode): registers the current stage to a reference stage. Pairs of matching points are
+// picked on each scan, the best-fit transform is solved from them and can be nudged with a gizmo, and the
+// result is saved and exported like the calibration. Both scans share the viewer as swipe scenes.
+function initializeAlignmentTool() {
+    const startButton = document.getElementById('alignment-start');
+    if (!startButton) return;
+
+    startButton.addEventListener('click', startAlignment);
+    document.getElementById('alignment-stop').addEventListener('click', () => stopAlignment(true));
+    document.querySelectorAll('#alignment-controls .alignment-view').forEach(button => {
+        button.addEventListener('click', () => setAlignmentView(button.dataset.view));
+    });
+    document.getElementById('alignment-pick').addEventListener('click', () => {
+        setAlignmentPickTarget(alignmentPickTarget ? null : 'moving');
+    });
+    document.getElementById('alignment-undo').addEventListener('click', () => {
+        if (pendingAlignmentPoint) {
+            setAlignmentPickTarget(null);
+        } else {
+            alignmentPairs.pop();
+        }
+        refreshAlignmentPanel();
+    });
+    document.getElementById('alignment-clear').addEventListener('click', () => {
+        alignmentPairs = [];
+        setAlignmentPickTarget(null);
+        refreshAlignmentPanel();
+    });
+    document.getElementById('alignment-solve').addEventListener('click', () => {
+        if (alignmentPairs.length < 3) {
+            setAlignmentStatus('Pick at least three pairs of matching points.');
+            return;
+        }
+        const solution = solveAlignment(alignmentPairs, document.getElementById('alignment-scale').checked);
+        if (!solution) {
+            setAlignmentStatus('The points are in a line; pick some that span an area.');
+            return;
+        }
+        if (!applyAlignedTransform(solution.matrix)) return;
+        setAlignmentView('overlay');
+        setAlignmentStatus(`Solved from ${alignmentPairs.length} pairs, RMS error ${solution.rms.toFixed(3)} units.`);
+    });
+    document.getElementById('alignment-gizmo').addEventListener('click', () => {
+        if (alignmentGizmo) {
+            removeAlignmentGizmo();
+        } else {
+            createAlignmentGizmo();
+        }
+        refreshAlignmentPanel();
+    });
+    document.getElementById('alignment-revert').addEventListener('click', () => {
+        const original = stageFileCalibrations[alignmentMovingIndex] || {};
+        if (applyAlignedTransform(getStageTransform(original).matrix)) setAlignmentStatus('Transform reverted to stages.json.');
+    });
+    document.getElementById('alignment-copy').addEventListener('click', () => {
+        const stage = constructionStages[alignmentMovingIndex];
+        if (!stage) return;
+        navigator.clipboard.writeText(formatStageFields(pickTransformFields(stage)))
+            .then(() => setAlignmentStatus('Transform copied; paste it into the stage\'s stages.json entry.'))
+            .catch(() => setAlignmentStatus('Clipboard is not available, use Download patch instead.'));
+    });
+    document.getElementById('alignment-download-patch').addEventListener('click', () => {
+        downloadTextFile('stages.patch.json', JSON.stringify(buildCalibrationPatch(), null, 2));
+    });
+
+    refreshAlignmentPanel();
+}
+
+function isAlignmentActive() {
+    return alignmentReferenceIndex !== -1 && swipeStageIndex === alignmentReferenceIndex;
+}
+
+async function startAlignment() {
+    const referenceIndex = parseInt(document.getElementById('alignment-reference').value, 10);
+    if (isLoading || currentStageIndex === -1 || !constructionStages[referenceIndex] || referenceIndex === currentStageIndex) return;
+
+    alignmentReferenceIndex = referenceIndex;
+    alignmentMovingIndex = currentStageIndex;
+    alignmentPairs = [];
+    alignmentView = 'overlay';
+    setAlignmentStatus('Loading both stages…');
+    await enterSwipeMode(referenceIndex);
+    if (isAlignmentActive()) setAlignmentStatus('Press Pick pair, then click the same feature on each scan.');
+}
+
+function stopAlignment(leaveSwipeMode) {
+    const wasActive = isAlignmentActive();
+    setAlignmentPickTarget(null);
+    removeAlignmentGizmo();
+    alignmentReferenceIndex = -1;
+    alignmentMovingIndex = -1;
+    alignmentPairs = [];
+    alignmentView = 'swipe';
+    refreshAlignmentPanel();
+    setAlignmentStatus('');
+    if (leaveSwipeMode && wasActive) exitSwipeMode();
+}
+
+function setAlignmentView(view) {
+    alignmentView = view;
+    refreshAlignmentPanel();
+}
+
+function setAlignmentPickTarget(target) {
+    alignmentPickTarget = target;
+    if (!target) pendingAlignmentPoint = null;
+    if (target) {
+        setPlacingAnnotation(false);
+        setMeasureTool(null);
+        setCalibrationPicking(false);
+        // Each half of the pair is picked with only its own scan on screen
+        alignmentView = target;
+        const reference = constructionStages[alignmentReferenceIndex];
+        setAlignmentStatus(target === 'moving'
+            ? 'Click a feature on this stage.'
+            : `Click the same feature on "${reference ? reference.title : 'the reference'}".`);
+    }
+    refreshAlignmentPanel();
+}
+
+function setAlignmentStatus(message) {
+    const status = document.getElementById('alignment-status');
+    if (status) status.textContent = message;
+}
+
+function onAlignmentPointerUp(event) {
+    if (!alignmentPickTarget || !isAlignmentActive() || !devOverlayVisible || !isCanvasClick(event)) return;
+
+    const surfaceHit = pickSplatSurface(event);
+    if (!surfaceHit) {
+        setAlignmentStatus('No scan surface under the cursor, try again.');
+        return;
+    }
+
+    if (alignmentPickTarget === 'moving') {
+        // Kept in the scan's own coordinates so the pair stays valid whatever transform is tried next
+        const toScan = getStageTransform(constructionStages[alignmentMovingIndex]).matrix.invert();
+        pendingAlignmentPoint = surfaceHit.point.clone().applyMatrix4(toScan);
+        setAlignmentPickTarget('reference');
+    } else {
+        alignmentPairs.push({ moving: pendingAlignmentPoint, reference: surfaceHit.point.clone() });
+        pendingAlignmentPoint = null;
+        setAlignmentPickTarget(null);
+        setAlignmentStatus(alignmentPairs.length < 3
+            ? `${3 - alignmentPairs.length} more pair${alignmentPairs.length === 2 ? '' : 's'} needed to solve.`
+            : 'Pick more pairs or press Solve.');
+    }
+}
+
+// Eigen decomposition of a small symmetric matrix (array of rows) by cyclic Jacobi rotations.
+// Returns the eigenvalues and the matching eigenvectors, largest first.
+function symmetricEigen(matrix) {
+    const n = matrix.length;
+    const a = matrix.map(row => row.slice());
+    const v = a.map((row, i) => row.map((_, j) => (i === j ? 1 : 0)));
+
+    for (let sweep = 0; sweep < 50; sweep++) {
+        let offDiagonal = 0;
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) offDiagonal += a[p][q] * a[p][q];
+        }
+        if (offDiagonal < 1e-24) break;
+
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) {
+                if (Math.abs(a[p][q]) < 1e-300) continue;
+                const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+                for (let k = 0; k < n; k++) {
+                    const akp = a[k][p], akq = a[k][q];
+                    a[k][p] = c * akp - s * akq;
+                    a[k][q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < n; k++) {
+                    const apk = a[p][k], aqk = a[q][k];
+                    a[p][k] = c * apk - s * aqk;
+                    a[q][k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < n; k++) {
+                    const vkp = v[k][p], vkq = v[k][q];
+                    v[k][p] = c * vkp - s * vkq;
+                    v[k][q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
+
+    return a.map((row, i) => ({ value: row[i], vector: v.map(vRow => vRow[i]) }))
+        .sort((x, y) => y.value - x.value);
+}
+
+// Best fit of the picked pairs (Horn's closed-form quaternion method): the transform that takes each
+// pair's point in the moving scan onto its point in the reference, optionally with a uniform scale.
+// Returns null while the moving points don't span a plane, since the rotation is then undetermined.
+function solveAlignment(pairs, allowScale) {
+    const moving = pairs.map(pair => pair.moving);
+    const reference = pairs.map(pair => pair.reference);
+    const centroid = (points) => points.reduce((sum, p) => sum.add(p), new THREE.Vector3()).divideScalar(points.length);
+    const movingCentroid = centroid(moving);
+    const referenceCentroid = centroid(reference);
+    const movingOffsets = moving.map(p => p.clone().sub(movingCentroid));
+    const referenceOffsets = reference.map(p => p.clone().sub(referenceCentroid));
+
+    const spread = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    const s = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    movingOffsets.forEach((m, i) => {
+        const mArray = m.toArray();
+        const rArray = referenceOffsets[i].toArray();
+        for (let row = 0; row < 3; row++) {
+            for (let col = 0; col < 3; col++) {
+                spread[row][col] += mArray[row] * mArray[col];
+                s[row][col] += mArray[row] * rArray[col];
+            }
+        }
+    });
+    const spreadValues = symmetricEigen(spread);
+    if (spreadValues[1].value <= 1e-6 * spreadValues[0].value) return null;
+
+    const [[sxx, sxy, sxz], [syx, syy, syz], [szx, szy, szz]] = s;
+    const best = symmetricEigen([
+        [sxx + syy + szz, syz - szy, szx - sxz, sxy - syx],
+        [syz - szy, sxx - syy - szz, sxy + syx, szx + sxz],
+        [szx - sxz, sxy + syx, -sxx + syy - szz, syz + szy],
+        [sxy - syx, szx + sxz, syz + szy, -sxx - syy + szz]
+    ])[0].vector;
+    const quaternion = new THREE.Quaternion(best[1], best[2], best[3], best[0]).normalize();
+
+    let scale = 1;
+    if (allowScale) {
+        let numerator = 0;
+        let denominator = 0;
+        movingOffsets.forEach((m, i) => {
+            numerator += referenceOffsets[i].dot(m.clone().applyQuaternion(quaternion));
+            denominator += m.lengthSq();
+        });
+        scale = numerator / denominator;
+    }
+
+    const position = referenceCentroid.clone().sub(movingCentroid.clone().applyQuaternion(quaternion).multiplyScalar(scale));
+    const matrix = new THREE.Matrix4().compose(position, quaternion, new THREE.Vector3(scale, scale, scale));
+    const squaredError = pairs.reduce((sum, pair) => sum + pair.moving.clone().applyMatrix4(matrix).distanceToSquared(pair.reference), 0);
+    return { matrix, rms: Math.sqrt(squaredError / pairs.length) };
+}
+
+function pickTransformFields(stage) {
+    const fields = {};
+    TRANSFORM_FIELDS.forEach(field => {
+        if (stage[field] !== undefined) fields[field] = stage[field];
+    });
+    return fields;
+}
+
+// Stores a transform on the moving stage in the form stages.json takes it and reloads the stage with it.
+// Returns false when a stage load is in the way.
+function applyAlignedTransform(matrix) {
+    const stage = constructionStages[alignmentMovingIndex];
+    if (!stage || isLoading) return false;
+    const previousMatrix = getStageTransform(stage).matrix;
+
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    matrix.decompose(position, quaternion, scale);
+    const round = (values, decimals) => values.map(v => Number(v.toFixed(decimals)));
+
+    delete stage.rotationOrder;
+    stage.position = round(position.toArray(), 4);
+    stage.rotation = round(quaternion.toArray(), 6);
+    const uniform = Math.abs(scale.x - scale.y) < 1e-6 && Math.abs(scale.x - scale.z) < 1e-6;
+    stage.scale = uniform ? round([scale.x], 6)[0] : round(scale.toArray(), 6);
+
+    saveStageCalibration(alignmentMovingIndex);
+    onStageTransformChanged(previousMatrix);
+    return true;
+}
+
+// Unsaved annotation edits are kept in site coordinates, so they move with the scan
+function onStageTransformChanged(previousMatrix) {
+    const stage = constructionStages[currentStageIndex];
+    if (annotationDrafts[currentStageIndex]) {
+        const change = getStageTransform(stage).matrix.multiply(previousMatrix.clone().invert());
+        annotationDrafts[currentStageIndex] = transformAnnotations(annotationDrafts[currentStageIndex], change);
+    }
+    return loadStage(currentStageIndex, getCurrentView());
+}
+
+// Called after every stage load; the tool stops when the user has moved on to other stages
+function refreshAlignmentPanel() {
+    const controls = document.getElementById('alignment-controls');
+    if (!controls) return;
+
+    if (alignmentReferenceIndex !== -1 && (!isAlignmentActive() || currentStageIndex !== alignmentMovingIndex)) {
+        stopAlignment(false);
+        return;
+    }
+
+    const select = document.getElementById('alignment-reference');
+    const selected = select.value;
+    select.innerHTML = '';
+    constructionStages.forEach((stage, index) => {
+        if (index !== currentStageIndex) select.add(new Option(stage.title, index));
+    });
+    if (Array.from(select.options).some(option => option.value === selected)) select.value = selected;
+
+    const active = alignmentReferenceIndex !== -1;
+    controls.classList.toggle('hidden', !active);
+    document.getElementById('alignment-start').classList.toggle('hidden', active);
+    select.disabled = active;
+
+    document.querySelectorAll('#alignment-controls .alignment-view').forEach(button => {
+        const current = button.dataset.view === alignmentView;
+        button.classList.toggle('bg-blue-500', current);
+        button.classList.toggle('text-white', current);
+    });
+    const pickButton = document.getElementById('alignment-pick');
+    pickButton.classList.toggle('bg-blue-500', alignmentPickTarget !== null);
+    pickButton.classList.toggle('text-white', alignmentPickTarget !== null);
+    pickButton.textContent = alignmentPickTarget ? 'Cancel pick' : 'Pick pair';
+    document.getElementById('alignment-pair-count').textContent =
+        `${alignmentPairs.length} pair${alignmentPairs.length === 1 ? '' : 's'}${pendingAlignmentPoint ? ' + 1 point' : ''}`;
+    document.getElementById('alignment-gizmo').textContent = alignmentGizmo ? 'Hide gizmo' : 'Gizmo';
+
+    // The divider is meaningless while one scan or both are shown full width
+    const divider = document.getElementById('swipe-divider');
+    if (divider) divider.style.visibility = isAlignmentActive() && alignmentView !== 'swipe' ? 'hidden' : '';
+
+    updateAlignmentGraphics();
+}
+
+// Orange: picks on the moving scan, placed by its current transform (and the gizmo drag in progress).
+// Cyan: picks on the reference. A line joins the two halves of each pair.
+function updateAlignmentGraphics(previewMatrix = null) {
+    if (alignmentGroup) {
+        overlayScene.remove(alignmentGroup);
+        alignmentGroup.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) object.material.dispose();
+        });
+        alignmentGroup = null;
+    }
+    const stage = constructionStages[alignmentMovingIndex];
+    if (!stage || (alignmentPairs.length === 0 && !pendingAlignmentPoint)) return;
+
+    const toSite = getStageTransform(stage).matrix;
+    if (previewMatrix) toSite.premultiply(previewMatrix);
+    const addMarker = (point, color) => {
+        const marker = new THREE.Mesh(
+            new THREE.SphereGeometry(0.025, 12, 12),
+            new THREE.MeshBasicMaterial({ color, depthTest: false })
+        );
+        marker.position.copy(point);
+        alignmentGroup.add(marker);
+    };
+
+    alignmentGroup = new THREE.Group();
+    alignmentPairs.forEach(pair => {
+        const moving = pair.moving.clone().applyMatrix4(toSite);
+        addMarker(moving, 0xf97316);
+        addMarker(pair.reference, 0x06b6d4);
+        alignmentGroup.add(new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints([moving, pair.reference]),
+            new THREE.LineBasicMaterial({ color: 0xffffff, depthTest: false })
+        ));
+    });
+    if (pendingAlignmentPoint) addMarker(pendingAlignmentPoint.clone().applyMatrix4(toSite), 0xf97316);
+    overlayScene.add(alignmentGroup);
+}
+
+// Gizmo for fine-tuning: arrows move the moving scan along the site axes and rings turn it about them,
+// around the gizmo's centre. The scan is rebuilt with the new transform when the handle is released.
+function createAlignmentGizmo() {
+    removeAlignmentGizmo();
+    alignmentGizmo = new THREE.Group();
+    const center = alignmentPairs.length > 0
+        ? alignmentPairs.reduce((sum, pair) => sum.add(pair.reference), new THREE.Vector3()).divideScalar(alignmentPairs.length)
+        : viewer.controls.target.clone();
+    alignmentGizmo.position.copy(center);
+
+    const axes = [
+        { axis: new THREE.Vector3(1, 0, 0), color: 0xef4444 },
+        { axis: new THREE.Vector3(0, 1, 0), color: 0x22c55e },
+        { axis: new THREE.Vector3(0, 0, 1), color: 0x3b82f6 }
+    ];
+    const up = new THREE.Vector3(0, 1, 0);
+    axes.forEach(({ axis, color }) => {
+        const material = new THREE.MeshBasicMaterial({ color, depthTest: false });
+        const hitMaterial = new THREE.MeshBasicMaterial({ visible: false });
+        const alongAxis = new THREE.Quaternion().setFromUnitVectors(up, axis);
+
+        const arrow = new THREE.Group();
+        arrow.userData = { mode: 'translate', axis };
+        const shaft = new THREE.Mesh(new THREE.CylinderGeometry(0.01, 0.01, 0.8, 8), material);
+        shaft.position.y = 0.4;
+        const head = new THREE.Mesh(new THREE.ConeGeometry(0.04, 0.2, 12), material);
+        head.position.y = 0.9;
+        const arrowHit = new THREE.Mesh(new THREE.CylinderGeometry(0.06, 0.06, 1, 8), hitMaterial);
+        arrowHit.position.y = 0.5;
+        arrow.add(shaft, head, arrowHit);
+        arrow.quaternion.copy(alongAxis);
+
+        // A torus lies across its local Z axis
+        const ring = new THREE.Group();
+        ring.userData = { mode: 'rotate', axis };
+        ring.add(new THREE.Mesh(new THREE.TorusGeometry(0.6, 0.01, 8, 64), material));
+        ring.add(new THREE.Mesh(new THREE.TorusGeometry(0.6, 0.05, 8, 32), hitMaterial));
+        ring.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), axis);
+
+        alignmentGizmo.add(arrow, ring);
+    });
+    overlayScene.add(alignmentGizmo);
+}
+
+function removeAlignmentGizmo() {
+    gizmoDrag = null;
+    if (!alignmentGizmo) return;
+    overlayScene.remove(alignmentGizmo);
+    alignmentGizmo.traverse(object => {
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) object.material.dispose();
+    });
+    alignmentGizmo = null;
+}
+
+// Same size on screen wherever the camera is
+function updateAlignmentGizmo() {
+    if (!alignmentGizmo || !viewer || !viewer.camera) return;
+    alignmentGizmo.visible = devOverlayVisible && isAlignmentActive();
+    const size = alignmentGizmo.position.distanceTo(viewer.camera.position) * 0.15;
+    alignmentGizmo.scale.setScalar(size);
+}
+
+function getGizmoRay(event) {
+    const rect = getViewportRect();
+    mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    raycaster.setFromCamera(mouse, viewer.camera);
+    return raycaster.ray;
+}
+
+// Where along the handle's axis the pointer is (translation), or where on the ring's plane (rotation)
+function getGizmoDragPoint(ray, drag) {
+    if (drag.mode === 'translate') {
+        const b = drag.axis.dot(ray.direction);
+        const denominator = 1 - b * b;
+        if (denominator < 1e-6) return null; // Looking straight down the axis
+        const w = drag.center.clone().sub(ray.origin);
+        return (b * ray.direction.dot(w) - drag.axis.dot(w)) / denominator;
+    }
+    const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(drag.axis, drag.center);
+    const point = new THREE.Vector3();
+    return ray.intersectPlane(plane, point) ? point.sub(drag.center) : null;
+}
+
+function onGizmoPointerDown(event) {
+    if (!alignmentGizmo || !alignmentGizmo.visible || !viewer || !viewer.camera || isLoading) return;
+    if (!isInsideRect(event, getViewportRect())) return;
+
+    const ray = getGizmoRay(event);
+    const hit = raycaster.intersectObject(alignmentGizmo, true).find(h => h.object.parent && h.object.parent.userData.mode);
+    if (!hit) return;
+
+    const { mode, axis } = hit.object.parent.userData;
+    const drag = { mode, axis, center: alignmentGizmo.position.clone(), change: new THREE.Matrix4() };
+    drag.start = getGizmoDragPoint(ray, drag);
+    if (drag.start === null) return;
+
+    gizmoDrag = drag;
+    if (viewer.controls) viewer.controls.enabled = false;
+    event.stopImmediatePropagation();
+}
+
+function onGizmoPointerMove(event) {
+    if (!gizmoDrag) return;
+    const current = getGizmoDragPoint(getGizmoRay(event), gizmoDrag);
+    if (current === null) return;
+
+    const { mode, axis, center, start } = gizmoDrag;
+    if (mode === 'translate') {
+        const offset = axis.clone().multiplyScalar(current - start);
+        gizmoDrag.change.makeTranslation(offset.x, offset.y, offset.z);
+        alignmentGizmo.position.copy(center).add(offset);
+    } else {
+        const angle = Math.atan2(axis.dot(start.clone().cross(current)), start.dot(current));
+        gizmoDrag.change.makeTranslation(center.x, center.y, center.z)
+            .multiply(new THREE.Matrix4().makeRotationAxis(axis, angle))
+            .multiply(new THREE.Matrix4().makeTranslation(-center.x, -center.y, -center.z));
+        alignmentGizmo.quaternion.setFromAxisAngle(axis, angle);
+    }
+    updateAlignmentGraphics(gizmoDrag.change);
+}
+
+function onGizmoPointerUp() {
+    if (!gizmoDrag) return;
+    const { change, center } = gizmoDrag;
+    gizmoDrag = null;
+    alignmentGizmo.quaternion.identity(); // The handles stay on the site axes
+    if (change.equals(new THREE.Matrix4())) return;
+
+    const stage = constructionStages[alignmentMovingIndex];
+    if (applyAlignedTransform(change.multiply(getStageTransform(stage).matrix))) {
+        setAlignmentStatus('Transform adjusted with the gizmo.');
+    } else {
+        alignmentGizmo.position.copy(center);
+        updateAlignmentGraphics();
+    }
+}
+
+// Guided tour: steps through every annotation of the current stage, then moves on to the next stage,
+// looping forever. Each step flies to the annotation's saved camera and dwells there with a caption.
+function initializeTour() {
+    const tourButton = document.getElementById('tour-button');
+    if (!tourButton) return;
+
+    const dwellInput = document.getElementById('tour-dwell');
+    dwellInput.value = tourDwellSeconds;
+    dwellInput.addEventListener('change', () => {
+        const seconds = parseFloat(dwellInput.value);
+        if (seconds > 0) {
+            tourDwellSeconds = seconds;
+            localStorage.setItem('tour-dwell', seconds);
+        }
+        dwellInput.value = tourDwellSeconds;
+    });
+    document.getElementById('tour-bar').addEventListener('keydown', (e) => e.stopPropagation());
+
+    tourButton.addEventListener('click', () => {
+        if (tourActive) {
+            stopTour();
+        } else {
+            startTour();
+        }
+    });
+    document.getElementById('tour-pause').addEventListener('click', () => setTourPaused(!tourPaused));
+    document.getElementById('tour-skip').addEventListener('click', advanceTour);
+    document.getElementById('tour-stop').addEventListener('click', stopTour);
+
+    // Grabbing the camera pauses the tour so it doesn't fly away mid-look
+    viewerCanvasHost.addEventListener('pointerdown', () => {
+        if (tourActive && !tourPaused) setTourPaused(true);
+    });
+}
+
+function startTour() {
+    if (constructionStages.length === 0) return;
+    tourActive = true;
+    tourPaused = false;
+    setMeasureTool(null);
+    setPlacingAnnotation(false);
+    document.getElementById('tour-bar').classList.remove('hidden');
+    updateTourControls();
+    onTourStageLoaded();
+}
+
+function stopTour() {
+    tourActive = false;
+    tourPaused = false;
+    clearTimeout(tourTimer);
+    tourTimer = null;
+    document.getElementById('tour-bar').classList.add('hidden');
+    document.getElementById('tour-caption').classList.add('hidden');
+    updateTourControls();
+}
+
+function setTourPaused(paused) {
+    if (!tourActive || tourPaused === paused) return;
+    tourPaused = paused;
+    if (paused) {
+        clearTimeout(tourTimer);
+        tourTimer = null;
+        tourRemaining = Math.max(0, tourStepEndsAt - performance.now());
+    } else {
+        scheduleTourStep(tourRemaining);
+    }
+    updateTourControls();
+}
+
+function scheduleTourStep(delay) {
+    clearTimeout(tourTimer);
+    tourStepEndsAt = performance.now() + delay;
+    tourRemaining = delay;
+    if (!tourPaused) tourTimer = setTimeout(advanceTour, delay);
+}
+
+function onTourStageLoaded() {
+    tourAnnotationIndex = -1;
+    const stage = constructionStages[currentStageIndex];
+    showTourCaption(stage.title, stage.description);
+    scheduleTourStep(getCameraMoveRemaining() + tourDwellSeconds * 1000);
+}
+
+function advanceTour() {
+    if (!tourActive) return;
+    clearTimeout(tourTimer);
+    tourTimer = null;
+    if (isLoading) return; // loadStage() will pick the tour up again
+
+    tourAnnotationIndex++;
+    if (tourAnnotationIndex >= currentAnnotationsData.length) {
+        if (constructionStages.length === 1) {
+            // Nothing to move on to: fly back to the stage's opening view rather than reloading the same scan
+            const stage = constructionStages[currentStageIndex];
+            moveCameraTo(new THREE.Vector3(...stage.initialCameraPosition), new THREE.Vector3(...stage.initialCameraLookAt));
+            onTourStageLoaded();
+        } else {
+            loadStage((currentStageIndex + 1) % constructionStages.length);
+        }
+        return;
+    }
+
+    const data = currentAnnotationsData[tourAnnotationIndex];
+    highlightAnnotation(tourAnnotationIndex, false, true);
+    showTourCaption(data.title, data.desc);
+    const dwell = data.dwell > 0 ? data.dwell : tourDwellSeconds;
+    scheduleTourStep(getCameraMoveRemaining() + dwell * 1000);
+}
+
+function showTourCaption(title, description) {
+    const caption = document.getElementById('tour-caption');
+    const stage = constructionStages[currentStageIndex];
+    const step = tourAnnotationIndex === -1
+        ? `${currentStageIndex + 1} / ${constructionStages.length}`
+        : `${stage.title} · ${tourAnnotationIndex + 1} / ${currentAnnotationsData.length}`;
+    document.getElementById('tour-caption-step').textContent = step;
+    document.getElementById('tour-caption-title').textContent = title || '';
+    document.getElementById('tour-caption-desc').textContent = description || '';
+    caption.classList.remove('hidden');
+}
+
+function updateTourControls() {
+    const pauseButton = document.getElementById('tour-pause');
+    pauseButton.textContent = tourPaused ? 'Resume' : 'Pause';
+    document.getElementById('tour-play-icon').classList.toggle('hidden', tourActive);
+    document.getElementById('tour-stop-icon').classList.toggle('hidden', !tourActive);
+}
+
+// Export panel: still captures and video recordings of the current stage, rendered at a fixed resolution
+function initializeExportPanel() {
+    const exportButton = document.getElementById('export-button');
+    const exportPanel = document.getElementById('export-panel');
+    if (!exportButton || !exportPanel) return;
+
+    exportButton.addEventListener('click', () => exportPanel.classList.toggle('hidden'));
+    exportPanel.addEventListener('keydown', (e) => e.stopPropagation());
+
+    document.getElementById('report-generate').addEventListener('click', generateReport);
+    document.getElementById('capture-png').addEventListener('click', () => {
+        captureStill({
+            ...resolveCaptureSize(document.getElementById('capture-resolution').value),
+            markers: document.getElementById('capture-markers').checked,
+            caption: document.getElementById('capture-caption').checked
+        });
+    });
+
+    document.getElementById('video-record').addEventListener('click', () => {
+        if (videoRecorder) {
+            if (videoRecordingAbort) videoRecordingAbort.abort();
+            if (videoRecorder.state === 'recording') videoRecorder.stop();
+        } else {
+            recordStageVideo({
+                source: document.getElementById('video-source').value,
+                ...parseResolution(document.getElementById('video-resolution').value),
+                fps: parseInt(document.getElementById('video-fps').value, 10),
+                titleOverlay: document.getElementById('video-title').checked
+            });
         }
+    });
+}
+
+function parseResolution(value) {
+    const [width, height] = value.split('x').map(Number);
+    return { width, height };
+}
+
+// "2x" scales the current viewport, "1920x1080" is an exact size; both are kept within what WebGL can render
+function resolveCaptureSize(value) {
+    let { width, height } = parseResolution(value);
+    const multiplier = value.match(/^(\d+)x$/);
+    if (multiplier) {
+        width = Math.round(viewerCanvasHost.offsetWidth * multiplier[1]);
+        height = Math.round(viewerCanvasHost.offsetHeight * multiplier[1]);
     }
-    
-    mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-    mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    const maxSize = viewer && viewer.renderer ? viewer.renderer.capabilities.maxTextureSize : 4096;
+    const fit = Math.min(1, maxSize / width, maxSize / height);
+    return { width: Math.floor(width * fit), height: Math.floor(height * fit) };
+}
 
-    raycaster.setFromCamera(mouse, viewer.camera);
+function setExportStatus(message) {
+    const status = document.getElementById('export-status');
+    if (status) status.textContent = message;
+}
 
-    const intersects = raycaster.intersectObjects(currentAnnotations, true);
+// Renders the viewer at exactly width x height device pixels. The canvas host is given that CSS size
+// (the splat shaders take their viewport from it) and scaled down with a transform to fit on screen.
+function setFixedRenderSize(width, height) {
+    const containerRect = viewerContainer.getBoundingClientRect();
+    const scale = Math.min(containerRect.width / width, containerRect.height / height, 1);
+    Object.assign(viewerCanvasHost.style, {
+        right: 'auto',
+        bottom: 'auto',
+        width: `${width}px`,
+        height: `${height}px`,
+        transformOrigin: '0 0',
+        transform: `scale(${scale})`
+    });
+    viewer.renderer.setPixelRatio(1);
+    viewer.renderer.setSize(width, height);
+    viewer.forceRenderNextFrame();
+}
 
-    if (intersects.length > 0) {
-        console.log('Annotation intersection found:', intersects[0].object.parent.userData.title);
-        
-        const group = intersects[0].object.parent;
-        if (group && group.userData.title) {
-            if (viewer.controls) viewer.controls.enabled = false;
-            
-            // Find the index of the clicked annotation
-            const index = currentAnnotations.indexOf(group);
-            if (index !== -1) {
-                
-                console.log('Opening annotations menu for index:', index);
-                
-                // Open the annotations menu
-                toggleAnnotationsMenu(true);
-                
-                // Highlight the specific annotation (no modal)
-                highlightAnnotation(index, false);
-                
-                // Scroll to the specific annotation in the menu
-                setTimeout(() => {
-                    const annotationItems = annotationsList.querySelectorAll('.p-3.border.rounded-lg');
-                    if (annotationItems[index]) {
-                        const targetItem = annotationItems[index];
-                        const container = annotationsList;
-                        const targetScrollTop = targetItem.offsetTop - container.clientHeight / 2 + targetItem.clientHeight / 2;
-                        container.scrollTo({ top: targetScrollTop, behavior: 'smooth' });
-                    }
-                }, 100);
-            }
-            
-            // Stop event propagation to prevent menu from closing and burger menu from triggering
-            event.preventDefault();
-            event.stopPropagation();
-            event.stopImmediatePropagation();
-            
-            console.log('Event propagation stopped');
-        }
-    } else {
-        console.log('No annotation intersection found');
+function clearFixedRenderSize() {
+    ['right', 'bottom', 'width', 'height', 'transformOrigin', 'transform'].forEach(property => {
+        viewerCanvasHost.style[property] = '';
+    });
+    if (!viewer || !viewer.renderer) return;
+    viewer.renderer.setPixelRatio(viewer.devicePixelRatio);
+    viewer.renderer.setSize(viewerCanvasHost.offsetWidth, viewerCanvasHost.offsetHeight);
+    viewer.forceRenderNextFrame();
+}
+
+// Stage title and description in a band across the top of an exported frame
+function drawTitleOverlay(context, width, height, title, description) {
+    const scale = height / 1080;
+    const padding = 32 * scale;
+    context.save();
+    context.fillStyle = 'rgba(0, 0, 0, 0.55)';
+    context.fillRect(0, 0, width, (description ? 120 : 84) * scale);
+    context.fillStyle = '#ffffff';
+    context.textBaseline = 'top';
+    context.font = `600 ${40 * scale}px Inter, sans-serif`;
+    context.fillText(title || '', padding, 22 * scale);
+    if (description) {
+        context.font = `400 ${26 * scale}px Inter, sans-serif`;
+        context.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        context.fillText(description, padding, 72 * scale);
     }
+    context.restore();
 }
 
-function showModal(title, description) {
-    const modal = document.getElementById('annotation-modal');
-    const modalContent = document.getElementById('modal-content');
-    const modalDescription = document.getElementById('modal-description');
+// Stage title and date in a band across the bottom of an exported frame
+function drawCaption(context, width, height, text) {
+    const scale = height / 1080;
+    context.save();
+    context.fillStyle = 'rgba(0, 0, 0, 0.55)';
+    context.fillRect(0, height - 64 * scale, width, 64 * scale);
+    context.fillStyle = '#ffffff';
+    context.textBaseline = 'middle';
+    context.font = `500 ${28 * scale}px Inter, sans-serif`;
+    context.fillText(text, 32 * scale, height - 32 * scale);
+    context.restore();
+}
 
-    modalContent.querySelector('h3').textContent = title;
-    modalDescription.textContent = description;
+// Annotation markers and titles, drawn in 2D so they stay crisp at any capture size
+function drawAnnotationLabels(context, width, height) {
+    const scale = height / 1080;
+    const projected = new THREE.Vector3();
+    context.save();
+    context.textBaseline = 'middle';
+    context.font = `500 ${22 * scale}px Inter, sans-serif`;
+    currentAnnotationsData.forEach(data => {
+        projected.fromArray(data.pos).project(viewer.camera);
+        if (projected.z > 1 || Math.abs(projected.x) > 1 || Math.abs(projected.y) > 1) return;
+        const x = (projected.x + 1) / 2 * width;
+        const y = (1 - projected.y) / 2 * height;
 
-    modal.classList.remove('opacity-0');
-    modal.classList.remove('pointer-events-none');
-    modal.classList.add('opacity-100');
-    modal.classList.add('pointer-events-auto');
+        context.beginPath();
+        context.arc(x, y, 10 * scale, 0, Math.PI * 2);
+        context.fillStyle = 'rgba(59, 130, 246, 0.85)';
+        context.fill();
+        context.lineWidth = 3 * scale;
+        context.strokeStyle = '#ffffff';
+        context.stroke();
 
-    const closeModalButton = document.getElementById('close-modal');
-    closeModalButton.addEventListener('click', () => {
-        modal.classList.remove('opacity-100');
-        modal.classList.remove('pointer-events-auto');
-        modal.classList.add('opacity-0');
-        modal.classList.add('pointer-events-none');
+        if (!data.title) return;
+        const textWidth = context.measureText(data.title).width;
+        const labelX = x + 18 * scale;
+        context.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        context.fillRect(labelX, y - 16 * scale, textWidth + 16 * scale, 32 * scale);
+        context.fillStyle = '#1f2937';
+        context.fillText(data.title, labelX + 8 * scale, y);
     });
+    context.restore();
 }
 
-function updateTimelineUI(activeIndex) {
-    const items = document.querySelectorAll('.timeline-item');
-    items.forEach((item, index) => {
-        item.classList.toggle('active', index === activeIndex);
+function formatCaptureDate(date = new Date()) {
+    return date.toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+// Resolves with a copy of the next frame the viewer renders. A hidden tab or a lost WebGL context
+// renders nothing, so it gives up after `timeout` ms rather than holding the export open.
+function grabNextFrame(width, height, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+        const listener = (sourceCanvas) => {
+            clearTimeout(timer);
+            renderedFrameListener = null;
+            const frame = document.createElement('canvas');
+            frame.width = width;
+            frame.height = height;
+            frame.getContext('2d').drawImage(sourceCanvas, 0, 0, width, height);
+            resolve(frame);
+        };
+        const timer = setTimeout(() => {
+            if (renderedFrameListener === listener) renderedFrameListener = null;
+            reject(new Error('No frame was rendered'));
+        }, timeout);
+        renderedFrameListener = listener;
+        viewer.forceRenderNextFrame();
     });
 }
 
-function updateCameraCoordinates() {
-    if (viewer && viewer.camera) {
-        const position = viewer.camera.position;
-        const target = viewer.controls ? viewer.controls.target : new THREE.Vector3();
-        
-        const positionElement = document.getElementById('camera-position');
-        const lookatElement = document.getElementById('camera-lookat');
-        
-        if (positionElement && lookatElement) {
-            positionElement.textContent = `[${position.x.toFixed(2)}, ${position.y.toFixed(2)}, ${position.z.toFixed(2)}]`;
-            lookatElement.textContent = `[${target.x.toFixed(2)}, ${target.y.toFixed(2)}, ${target.z.toFixed(2)}]`;
-        }
+// Renders the current view at width x height without the page's UI and returns it as a canvas.
+// 3D annotation markers and the dev dot are hidden; markers can be drawn back in 2D with their titles.
+async function renderStill({ width, height, markers, caption }) {
+    const stage = constructionStages[currentStageIndex];
+    const hidden = currentAnnotations.concat(movableDot ? [movableDot] : []).filter(object => object.visible);
+    hidden.forEach(object => { object.visible = false; });
+    try {
+        setFixedRenderSize(width, height);
+        await wait(500); // Let the splat sort catch up with the new viewport
+        const frame = await grabNextFrame(width, height);
+        const context = frame.getContext('2d');
+        if (markers) drawAnnotationLabels(context, width, height);
+        if (caption) drawCaption(context, width, height, `${stage.title} · ${formatCaptureDate()}`);
+        return frame;
+    } finally {
+        hidden.forEach(object => { object.visible = true; });
+        clearFixedRenderSize();
     }
 }
 
-function createMovableDot() {
-    // Remove existing dot if it exists
-    if (movableDot) {
-        threeScene.remove(movableDot);
+async function captureStill(options) {
+    if (!viewer || isLoading || isExporting) return;
+    isExporting = true;
+    setExportStatus('Capturing…');
+    try {
+        const frame = await renderStill(options);
+        const stage = constructionStages[currentStageIndex];
+        const filename = `${stage.title.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-${options.width}x${options.height}.png`;
+        downloadBlob(filename, await new Promise(resolve => frame.toBlob(resolve, 'image/png')));
+        setExportStatus(`Saved ${filename}.`);
+    } catch (error) {
+        console.error('Capture failed:', error);
+        setExportStatus('Capture failed. See console for details.');
+    } finally {
+        isExporting = false;
     }
-    
-    // Create a red sphere for the movable dot
-    const geometry = new THREE.SphereGeometry(0.1, 16, 16);
-    const material = new THREE.MeshBasicMaterial({ color: 0xff0000 });
-    movableDot = new THREE.Mesh(geometry, material);
-    
-    // Set initial position
-    movableDot.position.set(0, 0, 0);
-    // Respect dev visibility
-    movableDot.visible = devOverlayVisible;
-    
-    // Add to scene
-    threeScene.add(movableDot);
-    
-    // Initialize position display
-    dotPositionDisplay = document.getElementById('dot-position-display');
-    updateDotPositionDisplay();
 }
 
-function initializeDotControls() {
-    const dotXInput = document.getElementById('dot-x');
-    const dotYInput = document.getElementById('dot-y');
-    const dotZInput = document.getElementById('dot-z');
-    
-    // Set up event listeners for coordinate inputs
-    dotXInput.addEventListener('input', updateDotPosition);
-    dotYInput.addEventListener('input', updateDotPosition);
-    dotZInput.addEventListener('input', updateDotPosition);
+function escapeHtml(text) {
+    const element = document.createElement('div');
+    element.textContent = text == null ? '' : String(text);
+    return element.innerHTML;
 }
 
-function updateDotPosition() {
-    if (!movableDot) return;
-    
-    const x = parseFloat(document.getElementById('dot-x').value) || 0;
-    const y = parseFloat(document.getElementById('dot-y').value) || 0;
-    const z = parseFloat(document.getElementById('dot-z').value) || 0;
-    
-    movableDot.position.set(x, y, z);
-    updateDotPositionDisplay();
-}
+// Walks every stage and annotation, snapshots each saved camera and opens the result as a printable page.
+// The report window is opened straight away because browsers only allow pop-ups in direct response to a click.
+async function generateReport() {
+    if (!viewer || isLoading || isExporting) return;
 
-function updateDotPositionDisplay() {
-    if (!movableDot || !dotPositionDisplay) return;
-    
-    const pos = movableDot.position;
-    dotPositionDisplay.textContent = `[${pos.x.toFixed(2)}, ${pos.y.toFixed(2)}, ${pos.z.toFixed(2)}]`;
-}
+    const reportWindow = window.open('', '_blank');
+    if (reportWindow) reportWindow.document.write('<p style="font-family: sans-serif">Generating report…</p>');
 
-function onDotPointerDown(event) {
-    if (!viewer || !viewer.camera || !movableDot) return;
-    
-    const rect = viewerContainer.getBoundingClientRect();
-    mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-    mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    if (tourActive) stopTour();
+    if (compareStageIndex !== -1) exitCompareMode();
+    const returnIndex = currentStageIndex;
+    const returnView = getCurrentView();
+    // Every stage is photographed on its own; swipe and change highlighting come back afterwards
+    const returnSwipeIndex = swipeStageIndex;
+    const returnChangeIndex = changeStageIndex;
+    swipeStageIndex = -1;
+    changeStageIndex = -1;
+    updateChangePanel();
+    const snapshotSize = { width: 1600, height: 900, markers: true, caption: false };
+    const sections = [];
+    isExporting = true;
 
-    raycaster.setFromCamera(mouse, viewer.camera);
-    const intersects = raycaster.intersectObject(movableDot);
+    try {
+        for (let i = 0; i < constructionStages.length; i++) {
+            const stage = constructionStages[i];
+            setExportStatus(`Stage ${i + 1} / ${constructionStages.length}: ${stage.title}`);
+            await loadStage(i, {
+                cameraPosition: stage.initialCameraPosition,
+                cameraLookAt: stage.initialCameraLookAt,
+                allowDuringExport: true
+            });
+            if (currentStageIndex !== i) throw new Error(`Stage ${i + 1} did not load`);
 
-    if (intersects.length > 0) {
-        isDraggingDot = true;
-        if (viewer.controls) viewer.controls.enabled = false;
-        
-        // Set up drag plane perpendicular to camera view
-        const cameraDirection = new THREE.Vector3();
-        viewer.camera.getWorldDirection(cameraDirection);
-        dragPlane.setFromNormalAndCoplanarPoint(cameraDirection, movableDot.position);
-        
-        event.stopImmediatePropagation();
+            const overview = await renderStill(snapshotSize);
+            const annotations = [];
+            for (const data of currentAnnotationsData) {
+                let image = null;
+                if (data.cameraPos && data.cameraLookAt) {
+                    viewer.camera.position.fromArray(data.cameraPos);
+                    viewer.controls.target.fromArray(data.cameraLookAt);
+                    viewer.controls.update();
+                    image = (await renderStill(snapshotSize)).toDataURL('image/jpeg', 0.85);
+                }
+                annotations.push({ title: data.title, desc: data.desc, image });
+            }
+            sections.push({ stage, image: overview.toDataURL('image/jpeg', 0.85), annotations });
+        }
+
+        const html = buildReportHtml(sections);
+        if (reportWindow && !reportWindow.closed) {
+            reportWindow.document.open();
+            reportWindow.document.write(html);
+            reportWindow.document.close();
+        } else {
+            downloadTextFile('progress-report.html', html, 'text/html');
+        }
+        setExportStatus('Report ready.');
+    } catch (error) {
+        console.error('Report generation failed:', error);
+        setExportStatus('Report failed. See console for details.');
+        if (reportWindow && !reportWindow.closed) reportWindow.close();
+    } finally {
+        isExporting = false;
+        swipeStageIndex = returnSwipeIndex;
+        changeStageIndex = returnChangeIndex;
+        if (returnIndex !== -1) await loadStage(returnIndex, { ...returnView, skipTransition: true });
     }
 }
 
-function onDotPointerMove(event) {
-    if (!isDraggingDot || !viewer || !viewer.camera || !movableDot) return;
-    
-    const rect = viewerContainer.getBoundingClientRect();
-    mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-    mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+function buildReportHtml(sections) {
+    const projectTitle = document.querySelector('header h1').textContent;
+    const stagesHtml = sections.map(({ stage, image, annotations }) => `
+        <section class="stage">
+            <h2>${escapeHtml(stage.title)}</h2>
+            <p>${escapeHtml(stage.description)}</p>
+            <img src="${image}" alt="${escapeHtml(stage.title)}">
+            ${annotations.map(annotation => `
+            <div class="annotation">
+                <h3>${escapeHtml(annotation.title)}</h3>
+                <p>${escapeHtml(annotation.desc)}</p>
+                ${annotation.image ? `<img src="${annotation.image}" alt="${escapeHtml(annotation.title)}">` : ''}
+            </div>`).join('')}
+        </section>`).join('');
 
-    raycaster.setFromCamera(mouse, viewer.camera);
-    
-    // Find intersection with drag plane
-    if (raycaster.ray.intersectPlane(dragPlane, dragPoint)) {
-        movableDot.position.copy(dragPoint);
-        updateDotPositionDisplay();
-        updateDotInputs();
-    }
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(projectTitle)} – Progress Report</title>
+    <style>
+        body { font-family: Inter, system-ui, sans-serif; color: #1f2937; max-width: 900px; margin: 0 auto; padding: 2rem; }
+        header { border-bottom: 2px solid #e5e7eb; margin-bottom: 2rem; }
+        h1 { margin-bottom: 0.25rem; }
+        .date { color: #6b7280; }
+        .stage { page-break-before: always; break-before: page; }
+        .stage:first-of-type { page-break-before: auto; break-before: auto; }
+        .annotation { page-break-inside: avoid; break-inside: avoid; margin: 1.5rem 0; }
+        img { width: 100%; border-radius: 6px; }
+        .print-button { position: fixed; top: 1rem; right: 1rem; padding: 0.5rem 1rem; background: #3b82f6; color: #fff; border: 0; border-radius: 6px; cursor: pointer; }
+        @media print { .print-button { display: none; } body { padding: 0; } }
+    </style>
+</head>
+<body>
+    <button class="print-button" onclick="window.print()">Print / Save as PDF</button>
+    <header>
+        <h1>${escapeHtml(projectTitle)}</h1>
+        <p class="date">Progress report · ${escapeHtml(formatCaptureDate())}</p>
+    </header>
+    ${stagesHtml}
+</body>
+</html>`;
 }
 
-function updateDotInputs() {
-    if (!movableDot) return;
-    
-    const pos = movableDot.position;
-    document.getElementById('dot-x').value = pos.x.toFixed(2);
-    document.getElementById('dot-y').value = pos.y.toFixed(2);
-    document.getElementById('dot-z').value = pos.z.toFixed(2);
+// Both waits end early when `signal` is aborted; an aborted camera move also stops where it is
+function waitForCameraMove(signal) {
+    return new Promise(resolve => {
+        const check = () => {
+            if (signal && signal.aborted) camMoveActive = false;
+            if (camMoveActive) {
+                requestAnimationFrame(check);
+            } else {
+                resolve();
+            }
+        };
+        check();
+    });
+}
+
+function wait(ms, signal) {
+    return new Promise(resolve => {
+        if (signal && signal.aborted) {
+            resolve();
+            return;
+        }
+        const timer = setTimeout(resolve, ms);
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                resolve();
+            }, { once: true });
+        }
+    });
+}
+
+// Records the current stage to WebM while the camera follows either the stage's intro path or a fly-through
+// of its annotations. Recording happens in real time; frames go out at a fixed rate, each one the latest
+// the viewer rendered, so a render stalled by the splat sort repeats a frame instead of shifting the timing.
+async function recordStageVideo({ source, width, height, fps, titleOverlay }) {
+    if (!viewer || isLoading || isExporting) return;
+    if (typeof MediaRecorder === 'undefined') {
+        setExportStatus('This browser cannot record video.');
+        return;
+    }
+    const stage = constructionStages[currentStageIndex];
+    if (source === 'intro' && !(Array.isArray(stage.introPath) && stage.introPath.length > 0)) {
+        setExportStatus('This stage has no intro path.');
+        return;
+    }
+
+    if (tourActive) stopTour();
+    if (compareStageIndex !== -1) exitCompareMode();
+    // The recording shows the stage's own colours; the change highlighting comes back afterwards
+    const returnChangeIndex = changeStageIndex;
+    if (returnChangeIndex !== -1) await exitChangeMode();
+    isExporting = true;
+
+    const frameCanvas = document.createElement('canvas');
+    frameCanvas.width = width;
+    frameCanvas.height = height;
+    const context = frameCanvas.getContext('2d');
+    const drawFrame = (sourceCanvas) => {
+        context.drawImage(sourceCanvas, 0, 0, width, height);
+        if (titleOverlay) drawTitleOverlay(context, width, height, stage.title, stage.description);
+    };
+
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+        .find(type => MediaRecorder.isTypeSupported(type));
+    const chunks = [];
+    const stream = frameCanvas.captureStream(0);
+    const [videoTrack] = stream.getVideoTracks();
+    let frameTimer = null;
+    videoRecorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: Math.round(width * height * fps * 0.15) });
+    videoRecorder.addEventListener('dataavailable', (e) => {
+        if (e.data.size > 0) chunks.push(e.data);
+    });
+    const stopped = new Promise(resolve => videoRecorder.addEventListener('stop', resolve));
+
+    const recordButton = document.getElementById('video-record');
+    recordButton.textContent = 'Stop recording';
+    setExportStatus('Recording…');
+    videoRecordingAbort = new AbortController();
+    const { signal } = videoRecordingAbort;
+
+    try {
+        // Start from the stage's own camera so every recording of a stage begins the same way
+        camMoveActive = false;
+        viewer.camera.position.fromArray(stage.initialCameraPosition);
+        viewer.controls.target.fromArray(stage.initialCameraLookAt);
+        viewer.controls.update();
+
+        setFixedRenderSize(width, height);
+        renderedFrameListener = drawFrame;
+        await wait(500, signal); // Let the splat sort catch up with the new viewport before the first frame
+        if (signal.aborted) {
+            setExportStatus('Recording cancelled.');
+            return;
+        }
+        videoRecorder.start(1000);
+        frameTimer = setInterval(() => {
+            viewer.forceRenderNextFrame();
+            videoTrack.requestFrame();
+        }, 1000 / fps);
+
+        if (source === 'intro') {
+            playCameraPath(stage.introPath, stage.introPathEasing);
+            await waitForCameraMove(signal);
+            await wait(1000, signal);
+        } else {
+            await wait(tourDwellSeconds * 1000, signal);
+            for (let i = 0; i < currentAnnotationsData.length && !signal.aborted; i++) {
+                highlightAnnotation(i, false, true);
+                await waitForCameraMove(signal);
+                const data = currentAnnotationsData[i];
+                await wait((data.dwell > 0 ? data.dwell : tourDwellSeconds) * 1000, signal);
+            }
+        }
+        clearInterval(frameTimer);
+        if (videoRecorder.state === 'recording') videoRecorder.stop();
+        await stopped;
+
+        const filename = `${stage.title.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-${source}.webm`;
+        downloadBlob(filename, new Blob(chunks, { type: 'video/webm' }));
+        setExportStatus(`Saved ${filename}.`);
+    } catch (error) {
+        console.error('Video recording failed:', error);
+        setExportStatus('Recording failed. See console for details.');
+    } finally {
+        clearInterval(frameTimer);
+        camMoveActive = false;
+        renderedFrameListener = null;
+        stream.getTracks().forEach(track => track.stop());
+        videoRecorder = null;
+        videoRecordingAbort = null;
+        clearFixedRenderSize();
+        isExporting = false;
+        recordButton.textContent = 'Record WebM';
+        if (returnChangeIndex !== -1) await enterChangeMode(returnChangeIndex);
+    }
 }
 
 function initializeAnnotationsMenu() {
@@ -672,7 +4599,10 @@ function toggleAnnotationsMenu(show) {
         });
         
         // Clear selection state
-        selectedAnnotationIndex = -1;
+        if (selectedAnnotationIndex !== -1) {
+            selectedAnnotationIndex = -1;
+            updateViewHash(false);
+        }
     }
 }
 
@@ -700,10 +4630,14 @@ function populateAnnotationsMenu(annotations) {
     annotations.forEach((annotation, index) => {
         const annotationItem = document.createElement('div');
         annotationItem.className = 'p-3 border rounded-lg cursor-pointer hover:bg-gray-50 transition-colors';
-        annotationItem.innerHTML = `
-            <div class="font-semibold text-gray-800">${annotation.title}</div>
-            <div class="text-sm text-gray-600 mt-1">${annotation.desc}</div>
-        `;
+        // Titles and descriptions can be typed in the editor, so they only ever go in as text
+        const titleElement = document.createElement('div');
+        titleElement.className = 'font-semibold text-gray-800';
+        titleElement.textContent = annotation.title == null ? '' : String(annotation.title);
+        const descriptionElement = document.createElement('div');
+        descriptionElement.className = 'text-sm text-gray-600 mt-1';
+        descriptionElement.textContent = annotation.desc == null ? '' : String(annotation.desc);
+        annotationItem.append(titleElement, descriptionElement);
         
         // Hover effects for menu items
         annotationItem.addEventListener('mouseenter', () => {
@@ -728,13 +4662,8 @@ function populateAnnotationsMenu(annotations) {
         
         annotationItem.addEventListener('click', () => {
             console.log('Annotation clicked:', annotation.title);
-            // Smooth highlight annotation without modal
+            // Smooth highlight annotation without modal; this also flies the camera there
             highlightAnnotation(index, false);
-            // Camera move from menu click
-            const data = annotations[index];
-            if (data && data.cameraPos && data.cameraLookAt) {
-                moveCameraTo(new THREE.Vector3(...data.cameraPos), new THREE.Vector3(...data.cameraLookAt));
-            }
         });
         
         annotationsList.appendChild(annotationItem);
@@ -743,9 +4672,10 @@ function populateAnnotationsMenu(annotations) {
     console.log('Annotations menu populated with', annotations.length, 'items');
 }
 
-function highlightAnnotation(index, showModal = false) {
+function highlightAnnotation(index, showModal = false, moveCamera = true) {
     // Set the selected annotation index
     selectedAnnotationIndex = index;
+    updateViewHash(!isApplyingLinkedView);
     
     // Reset all annotations to normal with smooth transition
     currentAnnotations.forEach((annotation, i) => {
@@ -771,12 +4701,9 @@ function highlightAnnotation(index, showModal = false) {
             annotationItems[index].classList.add('bg-blue-100', 'border-blue-300');
         }
         
-        // Move camera if coordinates are present
-        if (currentAnnotationsData[index]) {
-            const data = currentAnnotationsData[index];
-            if (data.cameraPos && data.cameraLookAt) {
-                moveCameraTo(new THREE.Vector3(...data.cameraPos), new THREE.Vector3(...data.cameraLookAt));
-            }
+        // Move camera if coordinates or a camera path are present
+        if (moveCamera && currentAnnotationsData[index]) {
+            flyToAnnotation(currentAnnotationsData[index]);
         }
         // Only show modal if explicitly requested (for canvas clicks)
         if (showModal && currentAnnotationsData[index]) {
@@ -803,39 +4730,125 @@ function initializeCoordinatesToggle() {
 }
 
 
+// The URL hash mirrors the view: #stage=1&pos=x,y,z&look=x,y,z&anno=2
+function formatVectorForHash(vector) {
+    return [vector.x, vector.y, vector.z].map(v => v.toFixed(2)).join(',');
+}
+
+function parseVectorFromHash(value) {
+    if (!value) return null;
+    const parts = value.split(',').map(Number);
+    if (parts.length !== 3 || parts.some(v => !Number.isFinite(v))) return null;
+    return parts;
+}
+
+function parseViewHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const stage = parseInt(params.get('stage'), 10);
+    const annotation = parseInt(params.get('anno'), 10);
+    return {
+        stage: Number.isInteger(stage) && stage >= 0 && stage < constructionStages.length ? stage : 0,
+        cameraPosition: parseVectorFromHash(params.get('pos')),
+        cameraLookAt: parseVectorFromHash(params.get('look')),
+        annotation: Number.isInteger(annotation) ? annotation : -1
+    };
+}
+
+function buildViewHash() {
+    const params = new URLSearchParams();
+    params.set('stage', currentStageIndex);
+    if (viewer && viewer.camera && viewer.controls) {
+        params.set('pos', formatVectorForHash(viewer.camera.position));
+        params.set('look', formatVectorForHash(viewer.controls.target));
+    }
+    if (selectedAnnotationIndex !== -1) {
+        params.set('anno', selectedAnnotationIndex);
+    }
+    // Keep the commas readable in the address bar
+    return '#' + params.toString().replace(/%2C/g, ',');
+}
+
+// Stage and annotation changes add history entries; camera movement only rewrites the current one
+function updateViewHash(push) {
+    if (currentStageIndex === -1) return;
+    // A tour left running for hours shouldn't flood the back button
+    if (tourActive) push = false;
+    const hash = buildViewHash();
+    if (hash === window.location.hash) return;
+    if (push) {
+        history.pushState(null, '', hash);
+    } else {
+        history.replaceState(null, '', hash);
+    }
+}
+
+const throttledUpdateViewHash = throttle(() => {
+    if (!camMoveActive && !isLoading && !isApplyingLinkedView) updateViewHash(false);
+}, 500);
+
+async function applyLinkedView(linkedView) {
+    isApplyingLinkedView = true;
+    try {
+        const hasCamera = linkedView.cameraPosition && linkedView.cameraLookAt;
+        if (linkedView.stage !== currentStageIndex || !viewer) {
+            const view = hasCamera ? { cameraPosition: linkedView.cameraPosition, cameraLookAt: linkedView.cameraLookAt } : {};
+            await loadStage(linkedView.stage, view);
+        } else if (hasCamera) {
+            moveCameraTo(new THREE.Vector3(...linkedView.cameraPosition), new THREE.Vector3(...linkedView.cameraLookAt));
+        }
+
+        if (linkedView.annotation >= 0 && linkedView.annotation < currentAnnotations.length) {
+            toggleAnnotationsMenu(true);
+            // An explicit camera in the link wins over the annotation's own viewpoint
+            highlightAnnotation(linkedView.annotation, false, !hasCamera);
+        } else if (selectedAnnotationIndex !== -1) {
+            toggleAnnotationsMenu(false);
+        }
+    } finally {
+        isApplyingLinkedView = false;
+    }
+}
+
+function initializeViewHistory() {
+    window.addEventListener('popstate', () => {
+        applyLinkedView(parseViewHash(window.location.hash));
+    });
+}
+
         function animate() {
     requestAnimationFrame(animate);
 
     // Smooth camera move handling
     if (camMoveActive && viewer && viewer.camera && viewer.controls) {
-        const now = performance.now();
-        const t = Math.min(1, (now - camMoveStart) / camMoveDuration);
-        const easedT = THREE.MathUtils.smoothstep(t, 0, 1);
-        viewer.camera.position.lerpVectors(camStartPos, camTargetPos, easedT);
-        viewer.controls.target.lerpVectors(camStartTarget, camTargetTarget, easedT);
-        viewer.controls.update();
-        if (t >= 1) {
+        if (updateCameraPath(performance.now())) {
             camMoveActive = false;
         }
     }
 
     // Definitive Pan Lock Logic
-    if (isPanLockActive && viewer && viewer.controls && viewer.camera) {
-        // In this project's coordinate system, the Y-axis is inverted.
-        // "Ground" is at y=0. Going "under" the ground means y becomes positive.
-        // Therefore, we must prevent the target's y-coordinate from exceeding 0.
-        if (viewer.controls.target.y > 0) {
-            // Calculate how far "under" the ground the target is.
-            const deltaY = viewer.controls.target.y;
-
-            // Nudge both the camera and the target "up" (in the negative-y direction) by that amount.
-            viewer.camera.position.y -= deltaY;
-            viewer.controls.target.y -= deltaY; // This effectively clamps the target to 0
+    // While comparing, the lock is applied to whichever viewport is steering; the other one copies it below.
+    const drivingViewer = getDrivingViewer();
+    if (isPanLockActive && drivingViewer && drivingViewer.controls && drivingViewer.camera) {
+        // In this project's coordinate system, the Y-axis is inverted and "ground" is at y=0,
+        // unless the stage has been calibrated with its own up axis and ground offset.
+        // Going "under" the ground means the target's height above it becomes negative.
+        const ground = getStageGround(drivingViewer === compareViewer ? compareStageIndex : currentStageIndex);
+        const height = getHeightAboveGround(drivingViewer.controls.target, ground);
+        if (height < 0) {
+            // Nudge both the camera and the target "up" by how far under the ground the target is.
+            drivingViewer.camera.position.addScaledVector(ground.up, -height);
+            drivingViewer.controls.target.addScaledVector(ground.up, -height); // This effectively clamps the target to the ground
         }
     }
 
+    // Keep the comparison viewport looking at the same spot
+    syncCompareCameras();
+
     // Update camera coordinates display
     updateCameraCoordinates();
+    throttledUpdateViewHash();
+    updateMeasureLabels();
+    updateAlignmentGizmo();
 
     if (viewer && viewer.camera) {
         currentAnnotations.forEach((annotation, index) => {
@@ -1061,6 +5074,11 @@ if (devButton && cameraOverlay) {
     devButton.addEventListener('click', () => {
         devOverlayVisible = !devOverlayVisible;
         if (movableDot) movableDot.visible = devOverlayVisible;
+        if (!devOverlayVisible) {
+            setPlacingAnnotation(false);
+            setCalibrationPicking(false);
+            setAlignmentPickTarget(null);
+        }
         cameraOverlay.style.display = devOverlayVisible ? 'block' : 'none';
         if (movableControls) movableControls.style.display = devOverlayVisible ? 'block' : 'none';
     });